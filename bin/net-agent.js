@@ -76,5 +76,9 @@ loadConfig(function afterLoadConfig(err, config) {
 
     var netagent = new NetAgent(config);
 
+    process.on('SIGUSR2', function onSigusr2() {
+        netagent.logHistory();
+    });
+
     netagent.start();
 });
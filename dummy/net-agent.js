@@ -137,6 +137,8 @@ function runServer(opts, callback) {
 
         config.admin_uuid = ctx.ufdsAdminUuid;
         config.bindip = ctx.bindIP;
+        config.cache_file = path.join(SERVER_ROOT, opts.serverUuid,
+            'net-agent.cache.json');
         config.cn_uuid = opts.serverUuid;
         config.cueballAgent = {
             resolvers: [ 'binder.' + fullDNS ],
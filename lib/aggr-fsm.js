@@ -11,33 +11,26 @@
 'use strict';
 
 var assert = require('assert-plus');
+var getDifferences = require('./nic-diff').getDifferences;
 var mod_common = require('./common');
 var mod_jsprim = require('jsprim');
 var mod_util = require('util');
 
 // --- Globals
 
+/*
+ * The member links, LACP mode and NIC tags of an aggregation are configured on
+ * the CN, so changes to them get pushed up to NAPI (see "update.napi").
+ */
 var LOCAL_FIELDS = [
+    'lacp_mode',
+    'macs',
+    'nic_tags_provided'
 ];
 
 var REMOTE_FIELDS = [
 ];
 
-// --- Internal helpers
-
-function getDifferences(fields, cur, old) {
-    var update = {};
-
-    fields.forEach(function (field) {
-        if (cur[field] !== old[field]) {
-            update[field] = cur[field];
-        }
-    });
-
-    return update;
-}
-
-
 // --- Exports
 
 /**
@@ -96,12 +89,21 @@ function AggrFSM(opts) {
     this.local = null;
     this.remote = null;
 
+    /*
+     * The LOCAL_FIELDS that have changed on the CN since we last pushed them
+     * to NAPI, and those that differ from NAPI without having changed here.
+     */
+    this.changed = {};
+    this.drift = {};
+
     /*
      * We track the "Etag" header so that we can be careful
-     * about our DELETEs.
+     * about our PUTs and DELETEs.
      */
     this.etag = undefined;
 
+    this.retryPolicy = opts.app.retryPolicy;
+
     mod_common.CommonFSM.call(this);
 }
 mod_util.inherits(AggrFSM, mod_common.CommonFSM);
@@ -116,7 +118,10 @@ AggrFSM.prototype.state_init = function (S) {
  * Wait for external events to force us to recompare.
  */
 AggrFSM.prototype.state_waiting = function (S) {
+    this.resetRetries();
+
     S.gotoStateOn(this, 'setAsserted', 'update');
+    S.gotoStateOn(this, 'stopAsserted', 'stopped');
     S.gotoStateOn(this, 'refreshAsserted', 'refresh');
     S.gotoStateOn(this, 'releaseAsserted', 'release');
 
@@ -140,9 +145,24 @@ AggrFSM.prototype.state_refresh = function (S) {
     S.gotoStateOn(self, 'refreshAsserted', 'refresh');
     S.gotoStateOn(self, 'releaseAsserted', 'release');
 
+    /*
+     * If this is our first refresh and we have a copy of the aggregation from
+     * before we restarted, ask NAPI to only send it back if it's changed.
+     */
+    var cached = self.remote === null
+        ? self.app.cache.get('aggrs', self.name) : null;
+    var opts = {};
+
+    if (cached !== null) {
+        opts.headers = {
+            'If-None-Match': cached.etag
+        };
+    }
+
     function afterGet(err, aggr, _, res) {
         if (err) {
             if (err.statusCode === 404) {
+                self.setReason(err);
                 if (self.remote === null) {
                     S.gotoState('create');
                 } else {
@@ -151,10 +171,20 @@ AggrFSM.prototype.state_refresh = function (S) {
                 return;
             }
 
+            var delay = self.retryDelay();
+
             self.log.warn(err,
                 'Failed to refresh aggregation information; ' +
-                'retrying in 5 seconds');
-            S.gotoStateTimeout(5000, 'refresh');
+                'retrying in %d ms', delay);
+            self.setReason(err);
+            S.gotoStateTimeout(delay, 'refresh');
+            return;
+        }
+
+        if (res.statusCode === 304) {
+            self.log.info('Cached aggregation information is still current');
+            self.setRemote(cached.remote, cached.etag);
+            S.gotoState('update');
             return;
         }
 
@@ -165,7 +195,7 @@ AggrFSM.prototype.state_refresh = function (S) {
         S.gotoState('update');
     }
 
-    self.app.napi.getAggr(self.getId(), S.callback(afterGet));
+    self.app.napi.getAggr(self.getId(), opts, S.callback(afterGet));
 };
 
 AggrFSM.prototype.state_create = function (S) {
@@ -184,6 +214,14 @@ AggrFSM.prototype.state_create = function (S) {
         return;
     }
 
+    if (self.app.dryRun) {
+        self.log.info({ aggr: self.local },
+            'Dry run: not creating aggregation in NAPI');
+        S.gotoStateOn(this, 'refreshAsserted', 'refresh');
+        S.gotoStateOn(this, 'releaseAsserted', 'release');
+        return;
+    }
+
     S.on(this, 'releaseAsserted', function () {
         /*
          * We wait to move to the "release" state to ensure that our
@@ -202,7 +240,8 @@ AggrFSM.prototype.state_create = function (S) {
             self.log.warn(err,
                 'Failed to create aggregation in NAPI; ' +
                 'scheduling state refresh');
-            S.gotoStateTimeout(5000, 'refresh');
+            self.setReason(err);
+            S.gotoStateTimeout(self.retryDelay(), 'refresh');
             return;
         }
 
@@ -231,6 +270,8 @@ AggrFSM.prototype.state_update = function (S) {
      * If the belongs_to_uuid has changed, then we need to move the aggr.
      */
     if (this.local.belongs_to_uuid !== this.remote.belongs_to_uuid) {
+        this.setReason(mod_util.format('belongs_to_uuid is %s in NAPI',
+            this.remote.belongs_to_uuid));
         S.gotoState('remove');
         return;
     }
@@ -263,21 +304,38 @@ AggrFSM.prototype.state_update.local = function (S) {
         if (err) {
             self.log.error(err, 'Failed to update aggregation %s',
                 self.name);
-            S.gotoState('update.local');
+            self.setReason(err);
+            S.gotoStateTimeout(self.retryDelay(), 'update.local');
             return;
         }
 
         S.gotoState('update.napi');
     }
 
+    if (self.app.dryRun) {
+        self.log.info({ payload: locupdate },
+            'Dry run: not updating aggregation %s', self.name);
+        S.gotoState('update.napi');
+        return;
+    }
+
     self.app.server.updateAggr(self.getId(), locupdate,
         S.callback(afterUpdate));
 };
 
+/**
+ * In "update.napi", we push local changes to the aggregation up to NAPI. We
+ * only push fields that have actually changed on the CN since we started
+ * tracking it (see setLocal()): when a field differs from NAPI without having
+ * changed here, it's more likely that an operator has updated the aggregation
+ * in NAPI, to be applied when the CN next boots. We don't want to clobber
+ * those changes, so we just report them as drift.
+ */
 AggrFSM.prototype.state_update.napi = function (S) {
     var self = this;
 
     S.validTransitions([
+        'refresh',
         'release',
         'remove',
         'update',
@@ -285,7 +343,23 @@ AggrFSM.prototype.state_update.napi = function (S) {
         'waiting'
     ]);
 
-    var remupdate = getDifferences(LOCAL_FIELDS, self.local, self.remote);
+    var diffs = getDifferences(LOCAL_FIELDS, self.local, self.remote);
+    var remupdate = {};
+    var drift = {};
+
+    mod_jsprim.forEachKey(diffs, function (field, value) {
+        if (mod_jsprim.hasKey(self.changed, field)) {
+            remupdate[field] = value;
+        } else {
+            drift[field] = {
+                local: value,
+                remote: self.remote[field]
+            };
+        }
+    });
+
+    self._setDrift(drift);
+
     if (mod_jsprim.isEmpty(remupdate)) {
         self.log.trace('No remote changes needed');
         S.gotoState('waiting');
@@ -307,25 +381,64 @@ AggrFSM.prototype.state_update.napi = function (S) {
         if (err) {
             if (err.statusCode === 404) {
                 self.log.warn('Aggregation no longer in NAPI, removing');
+                self.setReason(err);
                 S.gotoState('remove');
                 return;
             }
 
+            if (err.statusCode === 412) {
+                self.log.info('Aggregation "Etag" changed in NAPI, refreshing');
+                self.setReason(err);
+                S.gotoState('refresh');
+                return;
+            }
+
+            var delay = self.retryDelay();
+
             self.log.error(err,
                 'Failed to update aggregation in NAPI; ' +
-                'retrying in 5 seconds');
-            S.gotoStateTimeout(5000, 'update.napi');
+                'retrying in %d ms', delay);
+            self.setReason(err);
+            S.gotoStateTimeout(delay, 'update.napi');
             return;
         }
 
+        mod_jsprim.forEachKey(remupdate, function (field) {
+            delete self.changed[field];
+        });
+
         self.setRemote(aggr, res.headers['etag']);
 
         S.gotoState('update');
     }
 
+    if (self.app.dryRun) {
+        self.log.info({ payload: remupdate },
+            'Dry run: not updating aggregation in NAPI');
+        S.gotoState('waiting');
+        return;
+    }
+
     self.log.info({ payload: remupdate }, 'Updating aggregation in NAPI');
 
-    self.app.napi.updateAggr(self.getId(), remupdate, S.callback(afterPut));
+    /*
+     * Make sure that we don't overwrite any changes made in NAPI since we last
+     * fetched the aggregation, unless NAPI is too old to give us an Etag.
+     * (See NicFSM's "update.napi" state.)
+     */
+    var opts = {};
+
+    if (typeof (self.etag) === 'string') {
+        opts.headers = {
+            'If-Match': self.etag
+        };
+    } else {
+        self.log.warn('No "Etag" set, updating aggregation without ' +
+            '"If-Match"');
+    }
+
+    self.app.napi.updateAggr(self.getId(), remupdate, opts,
+        S.callback(afterPut));
 };
 
 AggrFSM.prototype.state_remove = function (S) {
@@ -367,6 +480,13 @@ AggrFSM.prototype.state_release.delete = function (S) {
         return;
     }
 
+    if (self.app.dryRun) {
+        self.log.info({ aggr: self.remote },
+            'Dry run: not deleting aggregation from NAPI');
+        S.gotoState('stopped');
+        return;
+    }
+
     function afterDelete(err) {
         if (err) {
             if (err.statusCode === 404) {
@@ -376,12 +496,14 @@ AggrFSM.prototype.state_release.delete = function (S) {
             }
 
             if (err.statusCode === 412) {
+                self.setReason(err);
                 self.log.info('Aggregation "Etag" changed in NAPI, refreshing');
                 S.gotoState('release.refresh');
                 return;
             }
 
-            S.gotoStateTimeout(5000, 'release.delete');
+            self.setReason(err);
+            S.gotoStateTimeout(self.retryDelay(), 'release.delete');
             return;
         }
 
@@ -405,10 +527,13 @@ AggrFSM.prototype.state_release.refresh = function (S) {
                 return;
             }
 
+            var delay = self.retryDelay();
+
             self.log.warn(err,
                 'Failed to refresh aggregation information for release; ' +
-                'retrying in 5 seconds');
-            S.gotoStateTimeout(5000, 'release.refresh');
+                'retrying in %d ms', delay);
+            self.setReason(err);
+            S.gotoStateTimeout(delay, 'release.refresh');
             return;
         }
 
@@ -430,6 +555,7 @@ AggrFSM.prototype.state_stopped = function (S) {
     this.local = null;
     this.remote = null;
     this.etag = undefined;
+    this.app.cache.remove('aggrs', this.name);
 
     delete this.app.aggrs[this.name];
 };
@@ -442,10 +568,51 @@ AggrFSM.prototype.setLocal = function (aggr) {
     assert.object(aggr, 'aggr');
     var self = this;
 
+    var changes = self.local === null
+        ? {} : getDifferences(LOCAL_FIELDS, aggr, self.local);
+
+    mod_jsprim.forEachKey(changes, function (field, value) {
+        self.log.info({
+            field: field,
+            old: self.local[field],
+            cur: value
+        }, 'Aggregation %s changed on CN', self.name);
+        self.changed[field] = true;
+    });
+
+    /*
+     * The ServerFSM passes us the aggregation every time it reloads sysinfo,
+     * which happens every few minutes. When nothing has changed there's
+     * nothing for us to compare, and going through "update" would put off our
+     * periodic refresh from NAPI.
+     */
+    if (self.local !== null && mod_jsprim.deepEqual(aggr, self.local)) {
+        return;
+    }
+
     self.local = aggr;
     self.emitDelayed('setAsserted', 0);
 };
 
+/**
+ * Record the fields that differ between the CN and NAPI without having been
+ * changed on the CN, logging whenever they change.
+ */
+AggrFSM.prototype._setDrift = function (drift) {
+    if (mod_jsprim.deepEqual(drift, this.drift)) {
+        return;
+    }
+
+    if (mod_jsprim.isEmpty(drift)) {
+        this.log.info('Aggregation %s matches NAPI again', this.name);
+    } else {
+        this.log.warn({ drift: drift }, 'Aggregation %s on CN differs from ' +
+            'NAPI; leaving NAPI as-is', this.name);
+    }
+
+    this.drift = drift;
+};
+
 /**
  * Update our copy of the aggregation in NAPI (as well as its etag if the
  * NAPI instance is new enough to report it).
@@ -455,6 +622,7 @@ AggrFSM.prototype.setRemote = function (aggr, etag) {
     assert.optionalString(etag, 'etag');
     this.remote = aggr;
     this.etag = etag;
+    this.app.cache.set('aggrs', this.name, aggr, etag);
 };
 
 AggrFSM.prototype.refresh = function (etag) {
@@ -468,10 +636,29 @@ AggrFSM.prototype.refresh = function (etag) {
     self.emitDelayed('refreshAsserted', 0);
 };
 
+AggrFSM.prototype.dump = function () {
+    var obj = mod_common.CommonFSM.prototype.dump.call(this);
+
+    obj.name = this.name;
+    obj.id = this.getId();
+    obj.local = this.local;
+    obj.remote = this.remote;
+    obj.etag = this.etag;
+    obj.released = this.released;
+    obj.changed = Object.keys(this.changed);
+    obj.drift = this.drift;
+
+    return obj;
+};
+
 AggrFSM.prototype.releaseFrom = function (belongs_to_uuid) {
     assert.uuid(belongs_to_uuid, 'belongs_to_uuid');
     this.released = belongs_to_uuid;
     this.emit('releaseAsserted', belongs_to_uuid);
 };
 
+AggrFSM.prototype.stop = function () {
+    this.emit('stopAsserted');
+};
+
 module.exports = AggrFSM;
@@ -0,0 +1,216 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * cache.js: on-disk cache of NAPI objects
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_fs = require('fs');
+var mod_jsprim = require('jsprim');
+
+// --- Globals
+
+/*
+ * The version of the cache's format, which needs to be bumped whenever it
+ * changes in a way that older or newer versions of net-agent can't read.
+ */
+var CACHE_VERSION = 1;
+
+var CACHE_TYPES = [
+    'aggrs',
+    'nets',
+    'nics'
+];
+
+/*
+ * We batch up changes to the cache, and write them out at most this often.
+ */
+var WRITE_DELAY = 5 * 1000;
+
+
+// --- Internal helpers
+
+function isObject(obj) {
+    return (typeof (obj) === 'object' && obj !== null && !Array.isArray(obj));
+}
+
+function emptyCache() {
+    var data = {};
+
+    CACHE_TYPES.forEach(function (type) {
+        data[type] = {};
+    });
+
+    return data;
+}
+
+
+// --- Exports
+
+/**
+ * The StateCache keeps a copy of the last NAPI object (and its Etag) seen by
+ * each NicFSM, NetworkFSM and AggrFSM. When net-agent restarts, the FSMs use
+ * the cached Etags to revalidate their objects with conditional GETs, so that
+ * NAPI can respond with a "304 Not Modified" instead of the full object.
+ *
+ * The cache is only ever a hint: if it's missing, unreadable or written in a
+ * different format (its "version" isn't CACHE_VERSION), we start out with an
+ * empty one. Caches written by other versions of net-agent in the same format
+ * are used as-is.
+ */
+function StateCache(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.path, 'opts.path');
+
+    this.log = opts.log;
+    this.path = opts.path;
+    this.data = emptyCache();
+    this.timer = null;
+}
+
+/**
+ * Load the cache from disk. This is done synchronously, since it needs to
+ * happen before NetAgent starts creating FSMs.
+ */
+StateCache.prototype.load = function load() {
+    var self = this;
+    var data;
+
+    try {
+        data = JSON.parse(mod_fs.readFileSync(self.path, 'utf-8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            self.log.warn(e, 'Failed to load state cache from %s', self.path);
+        }
+        return;
+    }
+
+    if (!isObject(data) || data.version !== CACHE_VERSION) {
+        self.log.warn('Ignoring state cache with unknown version');
+        return;
+    }
+
+    CACHE_TYPES.forEach(function (type) {
+        if (isObject(data[type])) {
+            self.data[type] = data[type];
+        }
+    });
+
+    self.log.info({
+        aggrs: Object.keys(self.data.aggrs).length,
+        nets: Object.keys(self.data.nets).length,
+        nics: Object.keys(self.data.nics).length
+    }, 'Loaded state cache from %s', self.path);
+};
+
+/**
+ * Return the cached { remote, etag } for an object, or null if we don't have
+ * one.
+ */
+StateCache.prototype.get = function get(type, id) {
+    assert.string(type, 'type');
+    assert.string(id, 'id');
+
+    if (!mod_jsprim.hasKey(this.data[type], id)) {
+        return null;
+    }
+
+    return this.data[type][id];
+};
+
+StateCache.prototype.set = function set(type, id, remote, etag) {
+    assert.string(type, 'type');
+    assert.string(id, 'id');
+    assert.object(remote, 'remote');
+    assert.optionalString(etag, 'etag');
+
+    if (typeof (etag) !== 'string') {
+        /*
+         * Without an Etag, the cached object can't be revalidated.
+         */
+        this.remove(type, id);
+        return;
+    }
+
+    this.data[type][id] = {
+        remote: remote,
+        etag: etag
+    };
+
+    this._schedule();
+};
+
+StateCache.prototype.remove = function remove(type, id) {
+    assert.string(type, 'type');
+    assert.string(id, 'id');
+
+    if (!mod_jsprim.hasKey(this.data[type], id)) {
+        return;
+    }
+
+    delete this.data[type][id];
+
+    this._schedule();
+};
+
+StateCache.prototype._schedule = function _schedule() {
+    var self = this;
+
+    if (self.timer !== null) {
+        return;
+    }
+
+    self.timer = setTimeout(function () {
+        self.timer = null;
+        self.write();
+    }, WRITE_DELAY);
+};
+
+/**
+ * Write the cache out to disk. We write to a temporary file first and then
+ * rename it into place, so that we never leave behind a partial cache.
+ */
+StateCache.prototype.write = function write(callback) {
+    assert.optionalFunc(callback, 'callback');
+
+    var self = this;
+    var tmpfile = self.path + '.tmp';
+    var data = Object.assign({ version: CACHE_VERSION }, self.data);
+
+    if (self.timer !== null) {
+        clearTimeout(self.timer);
+        self.timer = null;
+    }
+
+    function done(err) {
+        if (err) {
+            self.log.warn(err, 'Failed to write state cache to %s', self.path);
+        }
+
+        if (callback !== undefined) {
+            setImmediate(callback, err);
+        }
+    }
+
+    mod_fs.writeFile(tmpfile, JSON.stringify(data), function (wErr) {
+        if (wErr) {
+            done(wErr);
+            return;
+        }
+
+        mod_fs.rename(tmpfile, self.path, done);
+    });
+};
+
+module.exports = StateCache;
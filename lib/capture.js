@@ -0,0 +1,207 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * capture.js: recording of the inputs that drive net-agent
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_fs = require('fs');
+var VError = require('verror');
+
+// --- Globals
+
+/*
+ * The kinds of records that can appear in a capture:
+ *
+ * - "start", written when the capture is opened, with the NetAgent's UUIDs.
+ * - "changefeed", an item read from the NAPI changefeed.
+ * - "bootstrap", a changefeed bootstrap event.
+ * - "vmadm-ready", the VMs on the CN when "vmadm events" was (re)started.
+ * - "vmadm", an event from "vmadm events".
+ * - "sysinfo", a sysinfo snapshot.
+ */
+var RECORD_TYPES = [
+    'bootstrap',
+    'changefeed',
+    'start',
+    'sysinfo',
+    'vmadm',
+    'vmadm-ready'
+];
+
+/*
+ * How large we let a capture file grow (in bytes) by default.
+ */
+var DEFAULT_MAX_SIZE = 100 * 1024 * 1024;
+
+
+// --- Exports
+
+/**
+ * The Capture appends everything that net-agent consumes from the changefeed,
+ * "vmadm events" and sysinfo to a file, one JSON record per line, so that
+ * whatever led up to a problem on a CN can be replayed elsewhere (see
+ * test/lib/replay.js).
+ *
+ * Records are written asynchronously, and failures to write them are logged,
+ * but otherwise don't affect net-agent.
+ *
+ * Once the file reaches "maxSize" bytes, we stop capturing. We keep the start
+ * of the capture rather than rotating it away, since that's where the records
+ * that a replay starts out from are.
+ */
+function Capture(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.path, 'opts.path');
+    assert.object(opts.info, 'opts.info');
+    assert.optionalNumber(opts.maxSize, 'opts.maxSize');
+
+    var self = this;
+
+    self.log = opts.log;
+    self.path = opts.path;
+    self.maxSize = typeof (opts.maxSize) === 'number' ?
+        opts.maxSize : DEFAULT_MAX_SIZE;
+
+    /*
+     * We append to any capture that's already there, so we start counting
+     * from its size.
+     */
+    try {
+        self.size = mod_fs.statSync(self.path).size;
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            self.log.warn(e, 'Failed to check size of capture %s', self.path);
+        }
+
+        self.size = 0;
+    }
+
+    self.stream = mod_fs.createWriteStream(self.path, { flags: 'a' });
+
+    /*
+     * Whether the file has been closed, and the callbacks waiting for that
+     * (see close()).
+     */
+    self.closed = false;
+    self.waiting = [];
+
+    self.stream.on('error', function (err) {
+        self.log.warn(err, 'Failed to write capture to %s', self.path);
+    });
+
+    self.stream.on('close', function () {
+        var waiting = self.waiting;
+
+        self.closed = true;
+        self.waiting = [];
+
+        waiting.forEach(function (callback) {
+            callback();
+        });
+    });
+
+    self.record('start', opts.info);
+
+    self.log.info('Capturing inputs to %s', self.path);
+}
+
+Capture.prototype.record = function record(type, data) {
+    assert.ok(RECORD_TYPES.indexOf(type) !== -1, 'unknown record type');
+    assert.ok(data !== undefined, 'data');
+
+    if (this.stream === null) {
+        return;
+    }
+
+    var line = JSON.stringify({
+        time: Date.now(),
+        type: type,
+        data: data
+    }) + '\n';
+    var size = Buffer.byteLength(line);
+
+    if (this.size + size > this.maxSize) {
+        this.log.warn('Capture %s has reached its limit of %d bytes; ' +
+            'no longer capturing', this.path, this.maxSize);
+        this.close();
+        return;
+    }
+
+    this.size += size;
+    this.stream.write(line);
+};
+
+/**
+ * Stop capturing, and call "callback" (if given) once everything has been
+ * written out. This also waits for the file to be closed when we've already
+ * stopped capturing because it reached its limit.
+ */
+Capture.prototype.close = function close(callback) {
+    assert.optionalFunc(callback, 'callback');
+
+    if (callback) {
+        if (this.closed) {
+            setImmediate(callback);
+        } else {
+            this.waiting.push(callback);
+        }
+    }
+
+    if (this.stream === null) {
+        return;
+    }
+
+    this.stream.end();
+    this.stream = null;
+};
+
+/**
+ * Read the records from a capture file, in the order that they were written.
+ */
+function readCapture(path) {
+    assert.string(path, 'path');
+
+    var lines = mod_fs.readFileSync(path, 'utf-8').split('\n');
+    var records = [];
+
+    lines.forEach(function (line, i) {
+        var rec;
+
+        if (line === '') {
+            return;
+        }
+
+        try {
+            rec = JSON.parse(line);
+        } catch (e) {
+            throw new VError(e, '%s, line %d: invalid JSON', path, i + 1);
+        }
+
+        if (typeof (rec) !== 'object' || rec === null ||
+            typeof (rec.time) !== 'number' ||
+            RECORD_TYPES.indexOf(rec.type) === -1) {
+            throw new VError('%s, line %d: invalid record', path, i + 1);
+        }
+
+        records.push(rec);
+    });
+
+    return records;
+}
+
+module.exports = {
+    Capture: Capture,
+    readCapture: readCapture
+};
@@ -21,6 +21,39 @@ var mod_util = require('util');
 var _versionCache = null;
 var MAX_TIMESTAMPS = 10;
 
+/*
+ * The number of state transitions that each FSM remembers.
+ */
+var MAX_HISTORY = 32;
+
+/*
+ * The NAPI client methods used by the FSMs. These get wrapped to collect
+ * metrics (see lib/metrics.js) and to pause requests while NAPI is
+ * unavailable (see lib/napi-breaker-fsm.js).
+ */
+var NAPI_METHODS = [
+    'createAggr',
+    'createNic',
+    'deleteAggr',
+    'deleteNic',
+    'getAggr',
+    'getNetwork',
+    'getNic',
+    'listNics',
+    'updateAggr',
+    'updateNic'
+];
+
+/*
+ * Default parameters for how FSMs retry failed operations (see RetryPolicy).
+ */
+var DEFAULT_RETRY = {
+    min: 5000,
+    max: 60000,
+    multiplier: 2,
+    jitter: 0.5
+};
+
 
 // --- Internal helpers
 
@@ -105,17 +138,159 @@ function loadSysinfo(callback) {
     });
 }
 
+/**
+ * A RetryPolicy determines how long an FSM waits before retrying a failed
+ * operation. The delay starts at "min" milliseconds, and grows by "multiplier"
+ * after each consecutive failure until it reaches "max". Each delay is then
+ * reduced by a random amount, up to the "jitter" fraction of it, so that FSMs
+ * across a datacenter that failed at the same time (e.g., during a NAPI
+ * outage) don't all retry at the same time, too.
+ */
+function RetryPolicy(opts) {
+    assert.optionalObject(opts, 'opts');
+    opts = mod_jsprim.mergeObjects(opts, null, DEFAULT_RETRY);
+
+    assert.number(opts.min, 'opts.min');
+    assert.number(opts.max, 'opts.max');
+    assert.number(opts.multiplier, 'opts.multiplier');
+    assert.number(opts.jitter, 'opts.jitter');
+    assert.ok(opts.min > 0, 'opts.min > 0');
+    assert.ok(opts.max >= opts.min, 'opts.max >= opts.min');
+    assert.ok(opts.multiplier >= 1, 'opts.multiplier >= 1');
+    assert.ok(opts.jitter >= 0 && opts.jitter <= 1,
+        'opts.jitter between 0 and 1');
+
+    this.min = opts.min;
+    this.max = opts.max;
+    this.multiplier = opts.multiplier;
+    this.jitter = opts.jitter;
+}
+
+/**
+ * Return the delay before retrying after "attempt" consecutive failures
+ * (starting at 0).
+ */
+RetryPolicy.prototype.delay = function delay(attempt) {
+    assert.number(attempt, 'attempt');
+
+    var base = Math.min(this.max,
+        this.min * Math.pow(this.multiplier, attempt));
+
+    return Math.round(base * (1 - this.jitter * Math.random()));
+};
+
+var DEFAULT_RETRY_POLICY = new RetryPolicy();
+
 /**
  * This class encapsulates some of the common logic to net-agent's FSMs.
+ *
+ * Subclasses may set "this.retryPolicy" before calling the constructor to
+ * control how they retry failed operations.
  */
 function CommonFSM() {
     this.pending = {};
     this.last = {};
+    this.history = [];
+    this.reasons = [];
+    this.retries = 0;
+
+    if (this.retryPolicy === undefined) {
+        this.retryPolicy = DEFAULT_RETRY_POLICY;
+    }
 
     mod_mooremachine.FSM.call(this, 'init');
+
+    /*
+     * mooremachine emits "stateChanged" for the initial state on the next
+     * tick, so listening here still catches it.
+     */
+    this.on('stateChanged', this._recordTransition.bind(this));
 }
 mod_util.inherits(CommonFSM, mod_mooremachine.FSM);
 
+/**
+ * We record every state transition in a bounded history, so that we can
+ * reconstruct after the fact why an object moved between states.
+ *
+ * mooremachine emits "stateChanged" asynchronously, sometimes for several
+ * transitions at once, so each reason passed to setReason() is queued along
+ * with the state that it was given in. It then gets recorded with the first
+ * transition out of that state.
+ */
+CommonFSM.prototype._recordTransition = function _recordTransition(state) {
+    var prev = this.history[this.history.length - 1];
+    var from = prev ? prev.to : null;
+    var reason = null;
+
+    while (this.reasons.length > 0 && this.reasons[0].state === from) {
+        reason = this.reasons.shift().reason;
+    }
+
+    this.history.push({
+        time: new Date(),
+        from: from,
+        to: state,
+        reason: reason
+    });
+
+    while (this.history.length > MAX_HISTORY) {
+        this.history.shift();
+    }
+};
+
+/**
+ * Note why we're about to leave the current state (usually an error that
+ * will cause us to retry). The reason gets recorded with the next transition.
+ */
+CommonFSM.prototype.setReason = function setReason(reason) {
+    if (reason instanceof Error) {
+        reason = reason.message;
+    } else {
+        assert.string(reason, 'reason');
+    }
+
+    this.reasons.push({
+        state: this.getState() || null,
+        reason: reason
+    });
+};
+
+/**
+ * Return how long to wait before retrying a failed operation, backing off
+ * further with each consecutive call.
+ */
+CommonFSM.prototype.retryDelay = function retryDelay() {
+    var delay = this.retryPolicy.delay(this.retries);
+
+    this.retries += 1;
+
+    return delay;
+};
+
+/**
+ * Called once an FSM has successfully made it back to its resting state, so
+ * that the next failure starts with a short delay again.
+ */
+CommonFSM.prototype.resetRetries = function resetRetries() {
+    this.retries = 0;
+};
+
+/**
+ * Return a JSON-friendly summary of this FSM for debugging purposes (see
+ * the kang handler in lib/http-server.js). Subclasses extend the returned
+ * object with the local and remote state that they're tracking.
+ */
+CommonFSM.prototype.dump = function dump() {
+    var last = this.history[this.history.length - 1];
+
+    return {
+        state: this.getState(),
+        transitioned: last ? last.time : null,
+        retries: this.retries,
+        history: this.history.slice()
+    };
+};
+
 /**
  * Asynchronously emit event "name". If the event was last emitted within
  * "delay" milliseconds, then we wait to emit it until we're clear of the
@@ -153,7 +328,9 @@ CommonFSM.prototype.emitDelayed = function emitDelayed(name, delay) {
 };
 
 module.exports = {
+    NAPI_METHODS: NAPI_METHODS,
     CommonFSM: CommonFSM,
+    RetryPolicy: RetryPolicy,
     currentMillis: currentMillis,
     formatAggrId: formatAggrId,
     getNetAgentVersion: getNetAgentVersion,
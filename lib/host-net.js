@@ -0,0 +1,196 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * host-net.js: inspecting and changing the links in a CN's global zone
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_forkexec = require('forkexec');
+var mod_jsprim = require('jsprim');
+var mod_vasync = require('vasync');
+
+// --- Globals
+
+var DLADM_CMD = '/usr/sbin/dladm';
+
+/*
+ * How long to wait for dladm before killing it, so that a hung command doesn't
+ * leave the ServerFSM stuck in "refresh" (or a NicFSM in "update.local").
+ */
+var DLADM_TIMEOUT = 30 * 1000;
+
+
+// --- Exports
+
+/**
+ * ServerFSM inspects the CN's links, and applies changes to its VNICs, through
+ * a "host network backend", which is an object with the following methods:
+ *
+ * - getLinks(callback), fetch the class (like "phys", "vnic", "aggr" or
+ *   "overlay"), MTU (in bytes) and, for physical links, the speed (in Mb/s) of
+ *   the CN's links, as an object mapping link names to objects like
+ *   { "class": "phys", "mtu": 1500, "speed": 10000 }
+ * - setMTU(name, mtu, callback), set the MTU of a link
+ * - modifyVNIC({ name, link, vlan_id }, callback), move a VNIC to a different
+ *   link and/or VLAN ("link" and "vlan_id" are both optional)
+ *
+ * The DladmBackend is the default one, and makes these changes with dladm(1M).
+ * All changes are made temporarily (i.e., with "-t"), since the persistent
+ * configuration of a CN's links is generated from its boot-time networking
+ * configuration, and so they'll be made again the next time it boots.
+ */
+function DladmBackend(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+
+    this.log = opts.log;
+}
+
+DladmBackend.prototype._dladm = function dladm(args, callback) {
+    var self = this;
+    var argv = [ DLADM_CMD ].concat(args);
+
+    self.log.info({ argv: argv }, 'Running dladm');
+
+    mod_forkexec.forkExecWait({
+        argv: argv,
+        includeStderr: true,
+        timeout: DLADM_TIMEOUT
+    }, function (err) {
+        callback(err);
+    });
+};
+
+/*
+ * Run dladm with parseable output of the given fields ("-p -o"), returning
+ * each line as an array of values.
+ */
+DladmBackend.prototype._dladmRows = function dladmRows(args, callback) {
+    var argv = [ DLADM_CMD ].concat(args);
+
+    mod_forkexec.forkExecWait({
+        argv: argv,
+        includeStderr: true,
+        timeout: DLADM_TIMEOUT
+    }, function (err, info) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var rows = info.stdout.split('\n').filter(function (line) {
+            return (line !== '');
+        }).map(function (line) {
+            return line.split(':');
+        });
+
+        callback(null, rows);
+    });
+};
+
+DladmBackend.prototype.getLinks = function getLinks(callback) {
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var links = {};
+
+    function addLinks(rows) {
+        rows.forEach(function (row) {
+            links[row[0]] = {
+                class: row[1],
+                mtu: Number(row[2])
+            };
+        });
+    }
+
+    /*
+     * Links that are down (or that don't report a speed) show up as having a
+     * speed of 0, which we leave out.
+     */
+    function addSpeeds(rows) {
+        rows.forEach(function (row) {
+            var speed = Number(row[1]);
+
+            if (mod_jsprim.hasKey(links, row[0]) && speed > 0) {
+                links[row[0]].speed = speed;
+            }
+        });
+    }
+
+    function run(args, parse, cb) {
+        self._dladmRows(args, function (err, rows) {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            parse(rows);
+            cb();
+        });
+    }
+
+    mod_vasync.pipeline({
+        funcs: [
+            function getLinkInfo(_, cb) {
+                run([ 'show-link', '-p', '-o', 'link,class,mtu' ],
+                    addLinks, cb);
+            },
+            function getSpeeds(_, cb) {
+                run([ 'show-phys', '-p', '-o', 'link,speed' ],
+                    addSpeeds, cb);
+            }
+        ]
+    }, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, links);
+    });
+};
+
+DladmBackend.prototype.setMTU = function setMTU(name, mtu, callback) {
+    assert.string(name, 'name');
+    assert.number(mtu, 'mtu');
+    assert.func(callback, 'callback');
+
+    this._dladm([ 'set-linkprop', '-t', '-p', 'mtu=' + mtu, name ],
+        callback);
+};
+
+DladmBackend.prototype.modifyVNIC = function modifyVNIC(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.name, 'opts.name');
+    assert.optionalString(opts.link, 'opts.link');
+    assert.optionalNumber(opts.vlan_id, 'opts.vlan_id');
+    assert.func(callback, 'callback');
+
+    var args = [ 'modify-vnic', '-t' ];
+
+    if (opts.link !== undefined) {
+        args.push('-l', opts.link);
+    }
+
+    if (opts.vlan_id !== undefined) {
+        args.push('-v', String(opts.vlan_id));
+    }
+
+    args.push(opts.name);
+
+    this._dladm(args, callback);
+};
+
+module.exports = {
+    DladmBackend: DladmBackend
+};
@@ -0,0 +1,158 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * http-server.js: net-agent's introspection and metrics server
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_jsprim = require('jsprim');
+var mod_kang = require('kang');
+var mod_restify = require('restify');
+
+// --- Globals
+
+/*
+ * Map kang object types to the NetAgent tables holding the FSMs. The "server"
+ * type is handled separately, since there is only ever one ServerFSM.
+ */
+var KANG_TABLES = {
+    aggr: 'aggrs',
+    instance: 'insts',
+    network: 'nets',
+    nic: 'nics'
+};
+
+var KANG_TYPES = Object.keys(KANG_TABLES).concat([ 'server' ]).sort();
+
+
+// --- Internal helpers
+
+function kangOptions(app) {
+    function listTypes() {
+        return KANG_TYPES;
+    }
+
+    function listObjects(type) {
+        if (type === 'server') {
+            return [ app.cn_uuid ];
+        }
+
+        return Object.keys(app[KANG_TABLES[type]]);
+    }
+
+    function getObject(type, id) {
+        if (type === 'server') {
+            return app.server.dump();
+        }
+
+        var table = app[KANG_TABLES[type]];
+        if (!mod_jsprim.hasKey(table, id)) {
+            return null;
+        }
+
+        return table[id].dump();
+    }
+
+    /*
+     * Count the VMs whose NICs have conflicting routes.
+     */
+    function countRouteConflicts() {
+        var count = 0;
+
+        mod_jsprim.forEachKey(app.insts, function (_, inst) {
+            if (inst.routeConflicts.length > 0) {
+                count += 1;
+            }
+        });
+
+        return count;
+    }
+
+    function getStats() {
+        return {
+            aggrs: Object.keys(app.aggrs).length,
+            insts: Object.keys(app.insts).length,
+            nets: Object.keys(app.nets).length,
+            nics: Object.keys(app.nics).length,
+            orphan_nics: Object.keys(app.sweeper.orphans).length,
+            napi: app.breaker.getState(),
+            napi_parked_requests: app.breaker.parked.length,
+            dry_run: app.dryRun,
+            reboot_policy: app.rebootPolicy.policy,
+            route_conflicts: countRouteConflicts(),
+            state: app.getState()
+        };
+    }
+
+    return {
+        uri_base: '/kang',
+        service_name: 'net-agent',
+        version: app.version,
+        ident: app.cn_uuid,
+        list_types: listTypes,
+        list_objects: listObjects,
+        get: getObject,
+        stats: getStats
+    };
+}
+
+function getMetrics(app) {
+    return function _getMetrics(req, res, next) {
+        app.metrics.collect(function (err, metrics) {
+            if (err) {
+                req.log.error(err, 'failed to collect metrics');
+                next(err);
+                return;
+            }
+
+            res.header('Content-Type', 'text/plain; version=0.0.4');
+            res.send(metrics);
+            next();
+        });
+    };
+}
+
+
+// --- Exports
+
+/**
+ * Create the restify server that exposes net-agent's internal state. The
+ * caller is responsible for calling listen() and close() on it.
+ *
+ * Every FSM tracked by NetAgent can be inspected through kang, e.g.:
+ *
+ *     kang -h <admin IP>:5311
+ *
+ * and metrics about our NAPI requests are available in the Prometheus text
+ * format from "/metrics".
+ */
+function createServer(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.log, 'opts.log');
+
+    var server = mod_restify.createServer({
+        name: 'net-agent',
+        log: opts.log
+    });
+
+    server.get(new RegExp('/kang/.*'),
+        mod_kang.knRestifyHandler(kangOptions(opts.app)));
+    server.get('/metrics', getMetrics(opts.app));
+
+    return server;
+}
+
+module.exports = {
+    createServer: createServer
+};
@@ -13,6 +13,7 @@
 var assert = require('assert-plus');
 var mod_common = require('./common');
 var mod_jsprim = require('jsprim');
+var mod_routes = require('./routes');
 var mod_util = require('util');
 
 // --- Globals
@@ -24,6 +25,7 @@ var NAPI_FIELDS = [
     'allow_restricted_traffic',
     'allow_unfiltered_promisc',
     'gateway',
+    'gateways',
     'model',
     'mtu',
     'netmask',
@@ -31,6 +33,37 @@ var NAPI_FIELDS = [
     'nic_tag',
     'primary',
     'ip',
+    'ips',
+    'vlan_id'
+];
+
+/*
+ * The internal_metadata key that we use to tell a VM's owner that it needs to
+ * be rebooted for networking changes to take effect. Its value is a JSON
+ * object containing:
+ *
+ * - "time", when the VM was last marked
+ * - "fields", the NIC properties that have changed since the VM last booted
+ * - "reasons", descriptions of why the VM was marked
+ *
+ * The marker is removed once the VM has booted after "time" (or, if it has
+ * no "time", after we first saw it).
+ */
+var REBOOT_MARKER_KEY = 'network_reboot_required';
+
+/*
+ * NIC properties that running VMs only pick up when they're next booted.
+ */
+var REBOOT_FIELDS = [
+    'gateway',
+    'gateways',
+    'ip',
+    'ips',
+    'model',
+    'mtu',
+    'netmask',
+    'network_uuid',
+    'nic_tag',
     'vlan_id'
 ];
 
@@ -43,6 +76,50 @@ var UPDATE_STATES = [
     'stopped'
 ];
 
+// --- Internal helpers
+
+/*
+ * Parse the VM's reboot marker. If it has no time, we use "seen", when we
+ * first saw the marker.
+ */
+function parseRebootMarker(value, seen) {
+    var marker;
+
+    if (value === undefined) {
+        return null;
+    }
+
+    try {
+        marker = JSON.parse(value);
+    } catch (_) {
+        marker = null;
+    }
+
+    if (typeof (marker) !== 'object' || marker === null) {
+        /*
+         * Someone has mangled the marker, but the VM still needs a reboot.
+         * Without a time, we'll remove it once the VM next boots after we
+         * first saw it.
+         */
+        marker = {};
+    }
+
+    return {
+        time: typeof (marker.time) === 'string' ? marker.time : seen,
+        fields: Array.isArray(marker.fields) ? marker.fields : [],
+        reasons: Array.isArray(marker.reasons) ? marker.reasons : []
+    };
+}
+
+function addUnique(arr, values) {
+    values.forEach(function (value) {
+        if (arr.indexOf(value) === -1) {
+            arr.push(value);
+        }
+    });
+}
+
+
 // --- Exports
 
 /**
@@ -89,6 +166,7 @@ function InstanceFSM(opts) {
     this.nics = {};
     this.vm = null;
     this.vmadm = opts.vmadm;
+    this.routeConflicts = [];
 
     this._update(opts.vm);
 
@@ -172,44 +250,41 @@ InstanceFSM.prototype.state_update.vm = function (S) {
     var self = this;
     var updated = false;
 
-    var current = Object.assign({}, this.vm.routes);
-    var resolvers = [];
-    var target = {};
-
-    function addResolver(resolver) {
-        if (resolvers.indexOf(resolver) === -1) {
-            resolvers.push(resolver);
-        }
-    }
+    var lists = [];
+    var sources = [];
 
     S.gotoStateOn(this, 'stopAsserted', 'stop');
 
-    mod_jsprim.forEachKey(this.nics, function (_, nfsm) {
+    this._sortedNics().forEach(function (nfsm) {
         if (nfsm.remote.routes) {
-            Object.assign(target, nfsm.remote.routes);
+            sources.push({
+                id: nfsm.mac,
+                routes: mod_routes.normalizeRoutes(nfsm.remote.routes)
+            });
         }
 
         if (self.vm.no_nic_resolvers) {
             self.log.debug('ignoring resolvers - no_nic_resolvers is set');
         } else if (Array.isArray(nfsm.remote.resolvers)) {
-            nfsm.remote.resolvers.forEach(addResolver);
+            lists.push(nfsm.remote.resolvers);
         }
     });
 
-    mod_jsprim.forEachKey(target, function (dst, gw) {
-        if (current[dst] === gw) {
-            delete target[dst];
-        }
-
-        delete current[dst];
-    });
+    var merged = mod_routes.mergeRoutes(sources);
+    this._setRouteConflicts(merged.conflicts);
 
-    var remove = Object.keys(current);
+    var resolvers = mod_routes.mergeResolvers(lists, this.vm.resolvers);
+    var diff = mod_routes.diffRoutes(this.vm.routes || {}, merged.routes);
+    var target = diff.set;
+    var remove = diff.remove;
+    var clearMarker = this._rebootedSinceMarked();
 
-    if (remove.length === 0 &&
+    var unchanged = remove.length === 0 &&
         mod_jsprim.isEmpty(target) &&
         (this.vm.no_nic_resolvers ||
-            mod_jsprim.deepEqual(resolvers, this.vm.resolvers))) {
+            mod_jsprim.deepEqual(resolvers, this.vm.resolvers));
+
+    if (unchanged && !clearMarker) {
         S.gotoState('waiting');
         return;
     }
@@ -236,12 +311,28 @@ InstanceFSM.prototype.state_update.vm = function (S) {
     }
 
     var payload = {
-        uuid: self.uuid,
-        resolvers: resolvers,
-        set_routes: target,
-        remove_routes: remove
+        uuid: self.uuid
     };
 
+    if (!unchanged) {
+        payload.resolvers = resolvers;
+        payload.set_routes = target;
+        payload.remove_routes = remove;
+    }
+
+    if (clearMarker) {
+        self.log.info('VM has booted since it was marked as needing a ' +
+            'reboot; removing marker');
+        payload.remove_internal_metadata = [ REBOOT_MARKER_KEY ];
+    }
+
+    if (self.app.dryRun) {
+        self.log.info({ payload: payload },
+            'Dry run: not updating networking information for VM');
+        S.gotoState('waiting');
+        return;
+    }
+
     self.log.info({ payload: payload },
         'Updating networking information for VM');
 
@@ -294,11 +385,19 @@ InstanceFSM.prototype.state_stop = function (S) {
 InstanceFSM.prototype._update = function (vm) {
     var self = this;
     var prev = self.nics;
+    var imd = vm.internal_metadata || {};
+    var seen = (self.vm !== null && self.vm.reboot_marker !== null)
+        ? self.vm.reboot_marker.time : new Date().toISOString();
 
     self.vm = {
         state: vm.state,
         // TRITON-1886 Honour custom DNS resolvers by checking no_nic_resolvers.
-        no_nic_resolvers: (vm.internal_metadata || {}).no_nic_resolvers,
+        no_nic_resolvers: imd.no_nic_resolvers,
+        no_nic_reboot: imd.no_nic_reboot === true ||
+            imd.no_nic_reboot === 'true',
+        reboot_marker: parseRebootMarker(imd[REBOOT_MARKER_KEY], seen),
+        boot_timestamp: vm.boot_timestamp,
+        interfaces: {},
         owner_uuid: vm.owner_uuid,
         resolvers: vm.resolvers,
         routes: vm.routes,
@@ -310,6 +409,8 @@ InstanceFSM.prototype._update = function (vm) {
         var mac = nic.mac;
         var nfsm;
 
+        self.vm.interfaces[mac] = nic.interface;
+
         if (mod_jsprim.hasKey(prev, mac)) {
             nfsm = prev[mac];
             delete prev[mac];
@@ -329,6 +430,62 @@ InstanceFSM.prototype._update = function (vm) {
     });
 };
 
+/**
+ * Return this VM's NICs in order of precedence for their routes and
+ * resolvers: the primary NIC first, and then the rest by interface name or
+ * MAC address (see PRECEDENCES in lib/routes.js). This keeps the result the
+ * same regardless of the order in which vmadm lists the NICs.
+ */
+InstanceFSM.prototype._sortedNics = function () {
+    var self = this;
+    var precedence = self.app.routePrecedence || mod_routes.DEFAULT_PRECEDENCE;
+
+    function sortKey(mac) {
+        if (precedence === 'interface' &&
+            typeof (self.vm.interfaces[mac]) === 'string') {
+            return self.vm.interfaces[mac];
+        }
+
+        return mac;
+    }
+
+    return Object.keys(self.nics).sort(function (a, b) {
+        var pa = self.nics[a].remote.primary === true;
+        var pb = self.nics[b].remote.primary === true;
+
+        if (pa !== pb) {
+            return (pa ? -1 : 1);
+        }
+
+        var ka = sortKey(a);
+        var kb = sortKey(b);
+
+        return (ka < kb ? -1 : (ka > kb ? 1 : 0));
+    }).map(function (mac) {
+        return self.nics[mac];
+    });
+};
+
+/**
+ * Record the conflicts found while merging the routes of this VM's NICs,
+ * logging whenever they change.
+ */
+InstanceFSM.prototype._setRouteConflicts = function (conflicts) {
+    if (mod_jsprim.deepEqual(conflicts, this.routeConflicts)) {
+        return;
+    }
+
+    if (conflicts.length > 0) {
+        this.log.warn({ conflicts: conflicts }, 'NICs on VM %s have ' +
+            'conflicting routes; using the routes of the NIC with the ' +
+            'highest precedence', this.uuid);
+    } else {
+        this.log.info('Route conflicts on VM %s resolved', this.uuid);
+    }
+
+    this.routeConflicts = conflicts;
+};
+
 InstanceFSM.prototype._fmtstate = function (state) {
     return (state === 'running' ? 'running' : 'stopped');
 };
@@ -388,19 +545,37 @@ InstanceFSM.prototype.addNIC = function (mac, nic, callback) {
     });
 };
 
+/**
+ * Update a NIC on this VM. If the VM is running and the update changes any
+ * properties in REBOOT_FIELDS, we also mark it as needing a reboot in the
+ * same `vmadm update`.
+ */
 InstanceFSM.prototype.updateNIC = function (mac, update, callback) {
     var self = this;
 
-    self.log.info({ payload: update },
-        'Updating NIC %s on VM %s', mac, self.uuid);
-
-    update.mac = mac;
+    var fields = Object.keys(update).filter(function (field) {
+        return (REBOOT_FIELDS.indexOf(field) !== -1);
+    });
 
-    self.vmadm.update({
+    var payload = {
         uuid: self.uuid,
         update_nics: [ update ],
         log: self.log
-    }, function (err) {
+    };
+
+    if (fields.length > 0 && self.vm.state === 'running') {
+        payload.set_internal_metadata = self._rebootMarker(fields,
+            mod_util.format('NIC %s was updated', mac));
+    }
+
+    self.log.info({
+        payload: update,
+        internal_metadata: payload.set_internal_metadata
+    }, 'Updating NIC %s on VM %s', mac, self.uuid);
+
+    update.mac = mac;
+
+    self.vmadm.update(payload, function (err) {
         self.refresh();
         callback(err);
     });
@@ -435,6 +610,81 @@ InstanceFSM.prototype.reboot = function (callback) {
     });
 };
 
+/**
+ * Record in the VM's internal_metadata that it needs to be rebooted for
+ * changes to its networking configuration to take effect, so that its owner
+ * can find out (e.g., through CloudAPI).
+ */
+InstanceFSM.prototype.markRebootRequired = function (reason, callback) {
+    assert.string(reason, 'reason');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    self.log.info({ reason: reason },
+        'Marking VM %s as needing a reboot', self.uuid);
+
+    self.vmadm.update({
+        uuid: self.uuid,
+        set_internal_metadata: self._rebootMarker([], reason),
+        log: self.log
+    }, function (err) {
+        self.refresh();
+        callback(err);
+    });
+};
+
+/**
+ * Generate the internal_metadata for marking this VM as needing a reboot,
+ * merging in anything it's already been marked for.
+ */
+InstanceFSM.prototype._rebootMarker = function (fields, reason) {
+    var prev = this.vm.reboot_marker;
+    var marker = {
+        time: new Date().toISOString(),
+        fields: [],
+        reasons: []
+    };
+    var imd = {};
+
+    if (prev !== null) {
+        addUnique(marker.fields, prev.fields);
+        addUnique(marker.reasons, prev.reasons);
+    }
+
+    addUnique(marker.fields, fields);
+    addUnique(marker.reasons, [ reason ]);
+
+    imd[REBOOT_MARKER_KEY] = JSON.stringify(marker);
+
+    return imd;
+};
+
+/**
+ * Check whether this VM has been marked as needing a reboot, and has since
+ * booted.
+ */
+InstanceFSM.prototype._rebootedSinceMarked = function () {
+    var marker = this.vm.reboot_marker;
+
+    if (marker === null || typeof (this.vm.boot_timestamp) !== 'string') {
+        return false;
+    }
+
+    return (Date.parse(this.vm.boot_timestamp) > Date.parse(marker.time));
+};
+
+InstanceFSM.prototype.dump = function () {
+    var obj = mod_common.CommonFSM.prototype.dump.call(this);
+
+    obj.uuid = this.uuid;
+    obj.local = this.vm;
+    obj.nics = Object.keys(this.nics);
+    obj.route_conflicts = this.routeConflicts;
+
+    return obj;
+};
+
 InstanceFSM.prototype.stop = function () {
     this.emit('stopAsserted');
 };
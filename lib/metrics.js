@@ -0,0 +1,150 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * metrics.js: Prometheus metrics for NAPI sync activity
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_artedi = require('artedi');
+var mod_common = require('./common');
+
+// --- Globals
+
+/*
+ * The NetAgent tables whose sizes we report.
+ */
+var TRACKED_TABLES = [
+    'aggrs',
+    'insts',
+    'nets',
+    'nics'
+];
+
+
+// --- Internal helpers
+
+/*
+ * Determine the status code label for a completed NAPI request. Requests
+ * that never got a response (connection failures, timeouts, etc.) are
+ * labeled as "error".
+ */
+function statusCode(err, res) {
+    if (err) {
+        return typeof (err.statusCode) === 'number'
+            ? String(err.statusCode) : 'error';
+    }
+
+    if (res && typeof (res.statusCode) === 'number') {
+        return String(res.statusCode);
+    }
+
+    return 'error';
+}
+
+
+// --- Exports
+
+/**
+ * The Metrics object manages the artedi collector for net-agent, which gets
+ * served from "/metrics" (see lib/http-server.js).
+ */
+function Metrics(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+
+    var self = this;
+
+    self.app = opts.app;
+
+    self.collector = mod_artedi.createCollector({
+        labels: {
+            cn_uuid: self.app.cn_uuid
+        }
+    });
+
+    self.napiRequests = self.collector.counter({
+        name: 'net_agent_napi_requests_completed',
+        help: 'count of NAPI requests completed by net-agent'
+    });
+
+    self.napiLatency = self.collector.histogram({
+        name: 'net_agent_napi_request_duration_seconds',
+        help: 'latency of NAPI requests made by net-agent'
+    });
+
+    self.tracked = self.collector.gauge({
+        name: 'net_agent_tracked_objects',
+        help: 'number of objects currently tracked by net-agent'
+    });
+
+    self.collector.addTriggerFunction(function updateTracked(_, cb) {
+        TRACKED_TABLES.forEach(function (type) {
+            self.tracked.set(Object.keys(self.app[type]).length, {
+                type: type
+            });
+        });
+
+        setImmediate(cb);
+    });
+}
+
+/**
+ * Wrap the methods that net-agent uses on the NAPI client (see NAPI_METHODS in
+ * lib/common.js) so that each request gets recorded.
+ */
+Metrics.prototype.instrumentNapi = function instrumentNapi(napi) {
+    assert.object(napi, 'napi');
+
+    var self = this;
+
+    mod_common.NAPI_METHODS.forEach(function (method) {
+        var orig = napi[method];
+
+        assert.func(orig, 'napi.' + method);
+
+        napi[method] = function instrumented() {
+            var args = Array.prototype.slice.call(arguments);
+            var callback = args.pop();
+            var start = mod_common.currentMillis();
+
+            assert.func(callback, 'callback');
+
+            args.push(function recordRequest(err, obj, req, res) {
+                var elapsed = mod_common.currentMillis() - start;
+
+                self.napiRequests.increment({
+                    method: method,
+                    code: statusCode(err, res)
+                });
+                self.napiLatency.observe(elapsed / 1000, {
+                    method: method
+                });
+
+                callback(err, obj, req, res);
+            });
+
+            return orig.apply(napi, args);
+        };
+    });
+};
+
+/**
+ * Serialize all metrics in the Prometheus text format.
+ */
+Metrics.prototype.collect = function collect(callback) {
+    assert.func(callback, 'callback');
+
+    this.collector.collect(mod_artedi.FMT_PROM, callback);
+};
+
+module.exports = Metrics;
@@ -0,0 +1,242 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_common = require('./common');
+var mod_util = require('util');
+var VError = require('verror');
+
+// --- Globals
+
+/*
+ * The number of consecutive failed NAPI requests after which we consider NAPI
+ * to be unavailable.
+ */
+var FAILURE_THRESHOLD = 5;
+
+
+// --- Internal helpers
+
+/*
+ * Determine whether a request failure indicates that NAPI itself is having
+ * problems. Errors that NAPI responded with because of the request (like a 404
+ * or a 412) show that it's up and working.
+ */
+function isNapiFailure(err) {
+    if (!err) {
+        return false;
+    }
+
+    return (typeof (err.statusCode) !== 'number' || err.statusCode >= 500);
+}
+
+function stoppedError() {
+    return new VError('NAPI breaker stopped');
+}
+
+
+// --- Exports
+
+/**
+ * The NapiBreakerFSM is a circuit breaker for the NAPI client. Without it, when
+ * NAPI goes down every NicFSM, NetworkFSM and AggrFSM independently fails and
+ * retries its requests, which adds up to a lot of pointless traffic once we're
+ * tracking many objects, and hammers NAPI as soon as it comes back up.
+ *
+ * Once FAILURE_THRESHOLD requests in a row have failed, the breaker opens.
+ * Requests made while it's open aren't sent, but are instead parked until NAPI
+ * is available again, which the breaker checks by pinging NAPI (backing off
+ * between attempts like the other FSMs do). When a ping succeeds, the breaker
+ * closes again and sends all of the parked requests, so that the FSMs waiting
+ * on them all resume together.
+ *
+ * Since each FSM has at most one outstanding request to NAPI, the number of
+ * parked requests is bounded by the number of objects we're tracking.
+ */
+function NapiBreakerFSM(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.napi, 'opts.napi');
+
+    this.app = opts.app;
+    this.napi = opts.napi;
+    this.log = opts.app.log.child({
+        component: 'napi-breaker'
+    }, true);
+    this.retryPolicy = opts.app.retryPolicy;
+
+    this.failures = 0;
+    this.parked = [];
+
+    mod_common.CommonFSM.call(this);
+}
+mod_util.inherits(NapiBreakerFSM, mod_common.CommonFSM);
+
+NapiBreakerFSM.prototype.state_init = function (S) {
+    S.immediate(function () {
+        S.gotoState('closed');
+    });
+};
+
+NapiBreakerFSM.prototype.state_closed = function (S) {
+    var self = this;
+
+    S.validTransitions([ 'open', 'stopped' ]);
+
+    self.resetRetries();
+    self.failures = 0;
+
+    S.gotoStateOn(self, 'tripAsserted', 'open');
+    S.gotoStateOn(self, 'stopAsserted', 'stopped');
+
+    var parked = self.parked;
+    self.parked = [];
+
+    if (parked.length > 0) {
+        self.log.info('NAPI available again; resuming %d parked requests',
+            parked.length);
+    }
+
+    parked.forEach(function (request) {
+        request();
+    });
+};
+
+NapiBreakerFSM.prototype.state_open = function (S) {
+    S.validTransitions([ 'open.probe', 'stopped' ]);
+
+    S.gotoStateOn(this, 'stopAsserted', 'stopped');
+
+    var delay = this.retryDelay();
+
+    this.log.warn('%d consecutive NAPI requests have failed; pausing ' +
+        'requests and checking NAPI again in %d ms', this.failures, delay);
+
+    S.gotoStateTimeout(delay, 'open.probe');
+};
+
+NapiBreakerFSM.prototype.state_open.probe = function (S) {
+    var self = this;
+
+    S.validTransitions([ 'closed', 'open.probe', 'stopped' ]);
+
+    S.gotoStateOn(self, 'stopAsserted', 'stopped');
+
+    function afterPing(err) {
+        if (err) {
+            var delay = self.retryDelay();
+
+            self.log.warn(err, 'NAPI still unavailable; checking again ' +
+                'in %d ms', delay);
+            self.setReason(err);
+            S.gotoStateTimeout(delay, 'open.probe');
+            return;
+        }
+
+        self.setReason('NAPI ping succeeded');
+        S.gotoState('closed');
+    }
+
+    self.napi.ping(S.callback(afterPing));
+};
+
+NapiBreakerFSM.prototype.state_stopped = function (S) {
+    S.validTransitions([ ]);
+
+    var parked = this.parked;
+    this.parked = [];
+
+    /*
+     * The FSMs waiting on any parked requests are usually being stopped too,
+     * but we still fail their requests, so that none are left waiting.
+     */
+    parked.forEach(function (request) {
+        setImmediate(request, stoppedError());
+    });
+};
+
+NapiBreakerFSM.prototype._record = function (err) {
+    if (!isNapiFailure(err)) {
+        this.failures = 0;
+        return;
+    }
+
+    this.failures += 1;
+
+    if (this.failures >= FAILURE_THRESHOLD && this.isInState('closed')) {
+        this.setReason(err);
+        this.emit('tripAsserted');
+    }
+};
+
+/**
+ * Wrap the methods that the FSMs use on the NAPI client so that they go
+ * through the breaker.
+ */
+NapiBreakerFSM.prototype.wrap = function () {
+    var self = this;
+    var napi = self.napi;
+
+    mod_common.NAPI_METHODS.forEach(function (method) {
+        var orig = napi[method];
+
+        assert.func(orig, 'napi.' + method);
+
+        napi[method] = function guarded() {
+            var args = Array.prototype.slice.call(arguments);
+            var callback = args.pop();
+
+            assert.func(callback, 'callback');
+
+            args.push(function recordResult(err, obj, req, res) {
+                self._record(err);
+                callback(err, obj, req, res);
+            });
+
+            function send(err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                orig.apply(napi, args);
+            }
+
+            if (self.isInState('stopped')) {
+                setImmediate(send, stoppedError());
+                return;
+            }
+
+            if (self.isInState('open')) {
+                self.parked.push(send);
+                return;
+            }
+
+            send();
+        };
+    });
+};
+
+NapiBreakerFSM.prototype.dump = function () {
+    var obj = mod_common.CommonFSM.prototype.dump.call(this);
+
+    obj.failures = this.failures;
+    obj.parked = this.parked.length;
+
+    return obj;
+};
+
+NapiBreakerFSM.prototype.stop = function () {
+    this.emit('stopAsserted');
+};
+
+module.exports = NapiBreakerFSM;
@@ -51,6 +51,14 @@
  * exponentially back off on retries, and the backed off request would
  * eventually overwrite an update that came later.)
  *
+ * FSMs still back off when retrying failed operations (see RetryPolicy in
+ * lib/common.js), but a retry is just a transition back into the state that
+ * failed, which recomputes its request from the FSM's current view of the
+ * world. Any new changes that arrive in the meantime are therefore included
+ * in the retried request, rather than being overwritten by it. The backoff is
+ * reset each time an FSM makes it back to its resting state, and can be tuned
+ * with the "retry" configuration object.
+ *
  * Tracking VM changes
  * -------------------
  *
@@ -74,30 +82,89 @@
 'use strict';
 
 var assert = require('assert-plus');
+var mod_capture = require('./capture');
 var mod_changefeed = require('changefeed');
 var mod_clients = require('sdc-clients');
 var mod_common = require('./common');
 var mod_cueball = require('cueball');
+var mod_http = require('./http-server');
 var mod_jsprim = require('jsprim');
+var mod_routes = require('./routes');
 var mod_util = require('util');
 var VError = require('verror');
-var vmadm = require('vmadm');
 
 var AggrFSM = require('./aggr-fsm');
 var NetworkFSM = require('./net-fsm');
 var NicFSM = require('./nic-fsm');
 var InstanceFSM = require('./inst-fsm');
+var Metrics = require('./metrics');
+var NapiBreakerFSM = require('./napi-breaker-fsm');
+var OrphanFSM = require('./orphan-fsm');
+var RebootPolicy = require('./reboot-policy');
+var StateCache = require('./cache');
 var ServerFSM = require('./server-fsm');
 var WatcherFSM = require('./watcher-fsm');
 var VmadmWatcherFSM = require('./vmadm-watcher-fsm');
 var determineEventSource = require('./event-source');
 
+// --- Globals
+
+/*
+ * Port on which we serve our introspection endpoints (see lib/http-server.js).
+ */
+var DEFAULT_PORT = 5311;
+
+/*
+ * Where we persist our copies of NAPI objects across restarts (see
+ * lib/cache.js).
+ */
+var DEFAULT_CACHE_FILE = '/var/tmp/net-agent.cache.json';
+
+/*
+ * The network properties that affect the NICs on a network (see NetworkFSM's
+ * DIFF_FIELDS), which we watch for changes to in the NAPI changefeed.
+ */
+var NETWORK_FIELDS = [
+    'gateway',
+    'gateway6',
+    'mtu',
+    'netmask',
+    'nic_tag',
+    'resolvers',
+    'routes',
+    'subnet',
+    'subnet6',
+    'vlan_id'
+];
+
+/*
+ * The NIC tags that Triton uses for fabric networks by default.
+ */
+var DEFAULT_UNDERLAY_TAG = 'sdc_underlay';
+var DEFAULT_OVERLAY_TAG = 'sdc_overlay';
+
 // --- Internal helpers
 
 function refreshFSM(_, fsm) {
     fsm.refresh();
 }
 
+/*
+ * Wrap a function for loading sysinfo so that each snapshot it loads gets
+ * recorded in our capture.
+ */
+function captureSysinfo(capture, loadSysinfo) {
+    return function loadAndCaptureSysinfo(callback) {
+        loadSysinfo(function (err, sysinfo) {
+            if (!err) {
+                capture.record('sysinfo', sysinfo);
+            }
+
+            callback(err, sysinfo);
+        });
+    };
+}
+
 
 // --- Exports
 
@@ -111,6 +178,27 @@ function NetAgent(options) {
     assert.string(options.napi.url, 'options.napi.url');
     assert.object(options.cueballAgent, 'options.cueballAgent');
     assert.optionalFunc(options.loadSysinfo, 'options.loadSysinfo');
+    assert.optionalObject(options.hostNet, 'options.hostNet');
+    assert.optionalObject(options.feed, 'options.feed');
+    assert.optionalNumber(options.sysinfo_refresh, 'options.sysinfo_refresh');
+    assert.optionalString(options.sysinfo_watch, 'options.sysinfo_watch');
+    assert.optionalString(options.bindip, 'options.bindip');
+    assert.optionalNumber(options.port, 'options.port');
+    assert.optionalString(options.cache_file, 'options.cache_file');
+    assert.optionalString(options.capture_file, 'options.capture_file');
+    assert.optionalNumber(options.capture_max_size,
+        'options.capture_max_size');
+    assert.optionalBool(options.release_orphan_nics,
+        'options.release_orphan_nics');
+    assert.optionalObject(options.retry, 'options.retry');
+    assert.optionalBool(options.dry_run, 'options.dry_run');
+    assert.optionalString(options.reboot_policy, 'options.reboot_policy');
+    assert.optionalString(options.reboot_window, 'options.reboot_window');
+    assert.optionalString(options.route_precedence,
+        'options.route_precedence');
+    assert.optionalString(options.underlay_nic_tag,
+        'options.underlay_nic_tag');
+    assert.optionalString(options.overlay_nic_tag, 'options.overlay_nic_tag');
 
     this.options = options;
     this.log = options.log;
@@ -118,7 +206,37 @@ function NetAgent(options) {
     this.agent_uuid = options.agent_uuid;
     this.admin_uuid = options.admin_uuid;
     this.version = mod_common.getNetAgentVersion();
-    this.vmadm = options.vmadm || vmadm;
+    /*
+     * The "vmadm" module only loads on SmartOS, so we only load it when we
+     * haven't been given something else to use (like the tests' mock vmadm).
+     */
+    this.vmadm = options.vmadm || require('vmadm');
+    this.retryPolicy = new mod_common.RetryPolicy(options.retry);
+
+    /*
+     * In dry-run mode, the FSMs log the changes that they would make to VMs
+     * and NAPI instead of making them. (Reads still happen as usual.)
+     */
+    this.dryRun = options.dry_run === true;
+
+    this.rebootPolicy = new RebootPolicy({
+        policy: options.reboot_policy,
+        window: options.reboot_window
+    });
+
+    this.routePrecedence = options.route_precedence ||
+        mod_routes.DEFAULT_PRECEDENCE;
+    if (mod_routes.PRECEDENCES.indexOf(this.routePrecedence) === -1) {
+        throw new VError('unknown route precedence %j (expected one of: %s)',
+            this.routePrecedence, mod_routes.PRECEDENCES.join(', '));
+    }
+
+    /*
+     * The NIC tags of the CN's underlay VNIC, and of the overlay devices for
+     * fabric networks.
+     */
+    this.underlayTag = options.underlay_nic_tag || DEFAULT_UNDERLAY_TAG;
+    this.overlayTag = options.overlay_nic_tag || DEFAULT_OVERLAY_TAG;
 
     // Depending on the backend vmadm might be an object or a function.
     assert.ok(['object', 'function']
@@ -132,6 +250,25 @@ function NetAgent(options) {
         log: this.log.child({ component: 'cueball' })
     });
 
+    /*
+     * When asked to, we record the changefeed items, "vmadm events" events
+     * and sysinfo snapshots that we consume (see lib/capture.js).
+     */
+    this.capture = null;
+    if (options.capture_file !== undefined) {
+        this.capture = new mod_capture.Capture({
+            log: this.log.child({ component: 'capture' }),
+            path: options.capture_file,
+            maxSize: options.capture_max_size,
+            info: {
+                cn_uuid: this.cn_uuid,
+                agent_uuid: this.agent_uuid,
+                admin_uuid: this.admin_uuid,
+                version: this.version
+            }
+        });
+    }
+
     var serverfsmopts = {
         uuid: this.cn_uuid,
         app: this
@@ -141,6 +278,23 @@ function NetAgent(options) {
         serverfsmopts.loadSysinfo = options.loadSysinfo;
     }
 
+    if (this.capture !== null) {
+        serverfsmopts.loadSysinfo = captureSysinfo(this.capture,
+            serverfsmopts.loadSysinfo || mod_common.loadSysinfo);
+    }
+
+    if (options.hostNet !== undefined) {
+        serverfsmopts.hostNet = options.hostNet;
+    }
+
+    if (options.sysinfo_refresh !== undefined) {
+        serverfsmopts.refreshInterval = options.sysinfo_refresh;
+    }
+
+    if (options.sysinfo_watch !== undefined) {
+        serverfsmopts.watchCommand = [ '/bin/sh', '-c', options.sysinfo_watch ];
+    }
+
     this.cueballAgent = new mod_cueball.HttpAgent(cbopts);
 
     this.napi = new mod_clients.NAPI({
@@ -151,10 +305,31 @@ function NetAgent(options) {
         userAgent: userAgent
     });
 
+    this.metrics = new Metrics({ app: this });
+    this.metrics.instrumentNapi(this.napi);
+
+    /*
+     * The breaker wraps the instrumented client, so that requests parked
+     * while NAPI is unavailable don't count towards their latencies.
+     */
+    this.breaker = new NapiBreakerFSM({
+        app: this,
+        napi: this.napi
+    });
+    this.breaker.wrap();
+
     this.watcher = null;
     this.eventSource = null;
 
-    this.feed = mod_changefeed.createListener({
+    this.bindip = options.bindip || null;
+    this.port = typeof (options.port) === 'number'
+        ? options.port : DEFAULT_PORT;
+    this.http = mod_http.createServer({
+        app: this,
+        log: this.log.child({ component: 'http' })
+    });
+
+    this.feed = options.feed || mod_changefeed.createListener({
         log: this.log.child({
             component: 'changefeed',
             level: 'info'
@@ -167,11 +342,8 @@ function NetAgent(options) {
                 resource: 'network',
                 subResources: [
                     'create',
-                    'delete',
-                    'gateway',
-                    'resolvers',
-                    'routes'
-                ]
+                    'delete'
+                ].concat(NETWORK_FIELDS)
             },
             {
                 resource: 'nic',
@@ -200,12 +372,30 @@ function NetAgent(options) {
         }
     });
 
+    this.cache = new StateCache({
+        log: this.log.child({ component: 'cache' }),
+        path: options.cache_file || DEFAULT_CACHE_FILE
+    });
+    this.cache.load();
+
     this.server = new ServerFSM(serverfsmopts);
     this.aggrs = {};
     this.insts = {};
     this.nics = {};
     this.nets = {};
 
+    /*
+     * VMs that we're deliberately not tracking (see updateVMs()), and whether
+     * we've loaded the list of VMs on this CN yet.
+     */
+    this.ignoredVMs = {};
+    this.vmsLoaded = false;
+
+    this.sweeper = new OrphanFSM({
+        app: this,
+        release: options.release_orphan_nics === true
+    });
+
     mod_common.CommonFSM.call(this);
 }
 mod_util.inherits(NetAgent, mod_common.CommonFSM);
@@ -244,6 +434,8 @@ NetAgent.prototype.updateVMs = function (vms) {
     var prev = self.insts;
 
     self.insts = {};
+    self.ignoredVMs = {};
+    self.vmsLoaded = true;
 
     self.log.info({num_vms: vms.length}, 'updateVMs');
 
@@ -253,6 +445,7 @@ NetAgent.prototype.updateVMs = function (vms) {
         if (vm.do_not_inventory) {
             self.log.info({vm_uuid: vm.uuid},
                 'Ignoring vm with do_not_inventory set');
+            self.ignoredVMs[vm.uuid] = true;
             if (mod_jsprim.hasKey(prev, vm.uuid)) {
                 /*
                  * TRITON-1814: Ignore network changes for vm's that are
@@ -353,6 +546,39 @@ NetAgent.prototype.releaseAggr = function (name, belongs_to_uuid) {
     this.aggrs[name].releaseFrom(belongs_to_uuid);
 };
 
+/**
+ * Log the recent state transitions of every FSM that we're tracking, so that
+ * we can see why an object is stuck (or bouncing between states) without
+ * turning on debug logging. This is triggered by sending SIGUSR2 to the agent.
+ */
+NetAgent.prototype.logHistory = function () {
+    var self = this;
+    var tables = {
+        aggr: self.aggrs,
+        instance: self.insts,
+        network: self.nets,
+        nic: self.nics
+    };
+
+    function logFSM(type, id, fsm) {
+        self.log.info({
+            type: type,
+            id: id,
+            state: fsm.getState(),
+            history: fsm.history
+        }, 'FSM transition history');
+    }
+
+    logFSM('server', self.cn_uuid, self.server);
+    logFSM('napi-breaker', self.cn_uuid, self.breaker);
+
+    mod_jsprim.forEachKey(tables, function (type, table) {
+        mod_jsprim.forEachKey(table, function (id, fsm) {
+            logFSM(type, id, fsm);
+        });
+    });
+};
+
 NetAgent.prototype.state_init = function (S) {
     S.gotoStateOn(this, 'startAsserted', 'starting');
 };
@@ -360,7 +586,39 @@ NetAgent.prototype.state_init = function (S) {
 NetAgent.prototype.state_starting = function (S) {
     S.gotoStateOn(this, 'stopAsserted', 'stopping');
 
-    S.gotoState('starting.determineEventSource');
+    if (this.dryRun) {
+        this.log.warn('Running in dry-run mode; no changes will be made ' +
+            'to VMs or NAPI');
+    }
+
+    S.gotoState('starting.listen');
+};
+
+/**
+ * Start serving our introspection endpoints. Failing to do so isn't fatal,
+ * since it doesn't affect our ability to keep NAPI and the CN in sync.
+ */
+NetAgent.prototype.state_starting.listen = function (S) {
+    var self = this;
+
+    S.validTransitions([ 'starting.determineEventSource' ]);
+
+    if (self.bindip === null) {
+        self.log.info('No "bindip" configured; not starting HTTP server');
+        S.gotoState('starting.determineEventSource');
+        return;
+    }
+
+    S.on(self.http, 'error', function onListenError(err) {
+        self.log.error(err, 'Failed to start HTTP server on %s:%d',
+            self.bindip, self.port);
+        S.gotoState('starting.determineEventSource');
+    });
+
+    self.http.listen(self.port, self.bindip, S.callback(function onListen() {
+        self.log.info('HTTP server listening on %s', self.http.url);
+        S.gotoState('starting.determineEventSource');
+    }));
 };
 
 NetAgent.prototype.state_starting.determineEventSource = function (S) {
@@ -372,7 +630,9 @@ NetAgent.prototype.state_starting.determineEventSource = function (S) {
     }, function determinedEventSource(err, eventSource) {
         if (err) {
             self.log.error(err, 'error determining event source');
-            S.gotoStateTimeout(1000, 'starting.determineEventSource');
+            self.setReason(err);
+            S.gotoStateTimeout(self.retryDelay(),
+                'starting.determineEventSource');
             return;
         }
 
@@ -425,6 +685,8 @@ NetAgent.prototype.state_running = function (S) {
 
     S.validTransitions([ 'stopping' ]);
 
+    self.resetRetries();
+
     S.on(self, 'stopAsserted', function () {
         S.gotoState('stopping');
     });
@@ -441,6 +703,8 @@ NetAgent.prototype.state_running = function (S) {
     });
 
     self._cfdrain();
+
+    self.sweeper.start();
 };
 
 NetAgent.prototype.state_stopping = function (S) {
@@ -449,7 +713,18 @@ NetAgent.prototype.state_stopping = function (S) {
     S.validTransitions([ 'stopped' ]);
 
     self.feed.close();
+    self.server.stop();
+    if (self.watcher !== null) {
+        self.watcher.stop();
+    }
+    self.sweeper.stop();
+    self.breaker.stop();
     self.cueballAgent.stop();
+    self.http.close();
+    self.cache.write();
+    if (self.capture !== null) {
+        self.capture.close();
+    }
 
     S.gotoState('stopped');
 };
@@ -483,17 +758,35 @@ NetAgent.prototype._processAggr = function (change) {
     }
 };
 
+/*
+ * Handle a change to a network. We only track the networks that our NICs are
+ * on, and only care about changes to the properties that affect them, so we
+ * skip fetching the network from NAPI for anything else.
+ */
 NetAgent.prototype._processNetwork = function processNetwork(change) {
-    if (!mod_jsprim.hasKey(this.nets, change.changedResourceId)) {
+    var uuid = change.changedResourceId;
+    var subResources = change.changeKind.subResources;
+
+    if (!mod_jsprim.hasKey(this.nets, uuid)) {
         return;
     }
 
-    if (change.changeKind.subResources.indexOf('delete') !== -1) {
-        this.releaseNet(change.changedResourceId);
+    if (subResources.indexOf('delete') !== -1) {
+        this.releaseNet(uuid);
         return;
     }
 
-    this.nets[change.changedResourceId].refresh();
+    var fields = subResources.filter(function (field) {
+        return (NETWORK_FIELDS.indexOf(field) !== -1);
+    });
+
+    if (fields.length === 0) {
+        this.log.debug({ change: change },
+            'Ignoring irrelevant change to network %s', uuid);
+        return;
+    }
+
+    this.nets[uuid].refresh(fields);
 };
 
 NetAgent.prototype._processNic = function processNic(change) {
@@ -526,6 +819,10 @@ NetAgent.prototype._cfdrain = function drainChangeFeed() {
     var change, resource;
 
     while ((change = this.feed.read()) !== null) {
+        if (this.capture !== null) {
+            this.capture.record('changefeed', change);
+        }
+
         resource = change.changeKind.resource;
 
         switch (resource) {
@@ -549,6 +846,10 @@ NetAgent.prototype._cfdrain = function drainChangeFeed() {
 NetAgent.prototype._cfbootstrap = function bootstrapChangeFeed(bsinfo) {
     assert.object(bsinfo, 'bsinfo');
 
+    if (this.capture !== null) {
+        this.capture.record('bootstrap', bsinfo);
+    }
+
     switch (bsinfo.resource) {
     case 'aggregation':
         mod_jsprim.forEachKey(this.aggrs, refreshFSM);
@@ -12,17 +12,25 @@
 
 var assert = require('assert-plus');
 var mod_common = require('./common');
+var mod_jsprim = require('jsprim');
 var mod_util = require('util');
 
 // --- Globals
 
+/*
+ * Besides their IPv4 configuration, dual-stack networks have an IPv6 subnet
+ * and gateway ("subnet6" and "gateway6"), which NAPI then reflects in the
+ * "ips" and "gateways" of their NICs.
+ */
 var DIFF_FIELDS = [
     'gateway',
+    'gateway6',
     'mtu',
     'netmask',
     'nic_tag',
     'resolvers',
     'routes',
+    'subnet6',
     'vlan_id'
 ];
 
@@ -34,12 +42,34 @@ var DIFF_FIELDS = [
 var MAX_NIC_LISTENERS = 512;
 
 
+// --- Internal helpers
+
+/*
+ * Return the DIFF_FIELDS that differ between two versions of a network (all of
+ * them if there's no earlier version to compare against).
+ */
+function changedFields(cur, old) {
+    if (cur === old) {
+        return [];
+    }
+
+    if (old === null) {
+        return DIFF_FIELDS.slice();
+    }
+
+    return DIFF_FIELDS.filter(function (field) {
+        return !mod_jsprim.deepEqual(cur[field], old[field]);
+    });
+}
+
+
 // --- Exports
 
 /**
  * The NetFSM is responsible for tracking changes related to a single network.
  * We emit the "changed" event whenever fields responsible for VM and NIC
- * configurations (DIFF_FIELDS) change so that the NICs can be updated.
+ * configurations (DIFF_FIELDS) change so that the NICs can be updated. Which
+ * fields changed in the last refresh is kept in "changed".
  */
 function NetworkFSM(opts) {
     assert.object(opts, 'opts');
@@ -55,6 +85,26 @@ function NetworkFSM(opts) {
 
     this.old = null;
     this.cur = null;
+    this.etag = undefined;
+
+    /*
+     * The fields that the NAPI changefeed has told us have changed since our
+     * last refresh, and the DIFF_FIELDS that actually changed in it.
+     */
+    this.reported = [];
+    this.changed = [];
+
+    /*
+     * If we saw this network before restarting, start from our cached copy,
+     * so that we only emit "changed" if it's been modified since then.
+     */
+    var cached = this.app.cache.get('nets', this.uuid);
+    if (cached !== null) {
+        this.cur = cached.remote;
+        this.etag = cached.etag;
+    }
+
+    this.retryPolicy = opts.app.retryPolicy;
 
     mod_common.CommonFSM.call(this);
 }
@@ -69,7 +119,11 @@ NetworkFSM.prototype.state_init = function (S) {
 };
 
 NetworkFSM.prototype.state_waiting = function (S) {
-    S.validTransitions([ 'refresh' ]);
+    S.validTransitions([ 'refresh', 'stopped' ]);
+
+    this.resetRetries();
+
+    S.gotoStateOn(this, 'stopAsserted', 'stopped');
 
     /*
      * Refresh periodically for installations w/o changefeed.
@@ -78,7 +132,7 @@ NetworkFSM.prototype.state_waiting = function (S) {
 
     S.gotoStateOn(this, 'refreshAsserted', 'refresh');
 
-    if (mod_common.hasChanged(DIFF_FIELDS, this.cur, this.old)) {
+    if (this.changed.length > 0) {
         this.emitDelayed('changed', 0);
     }
 };
@@ -94,9 +148,19 @@ NetworkFSM.prototype.state_refresh = function (S) {
 
     S.gotoStateOn(self, 'stopAsserted', 'stopped');
 
+    /*
+     * If the network changes again while we're fetching it, we may get back
+     * the old version, so we start over.
+     */
+    S.gotoStateOn(self, 'refreshAsserted', 'refresh');
+
     self.old = self.cur;
+    self.changed = [];
 
-    function afterGet(err, net) {
+    var reported = self.reported;
+    self.reported = [];
+
+    function afterGet(err, net, _, res) {
         if (err) {
             if (err.statusCode === 404) {
                 self.log.error(err, 'Network disappeared from NAPI; stopping');
@@ -104,31 +168,83 @@ NetworkFSM.prototype.state_refresh = function (S) {
                 return;
             }
 
+            var delay = self.retryDelay();
+
             self.log.error(err,
                 'Failed to refresh network information; ' +
-                'retrying in 5 seconds');
-            S.gotoStateTimeout(5000, 'refresh');
+                'retrying in %d ms', delay);
+            self.setReason(err);
+            S.gotoStateTimeout(delay, 'refresh');
+            return;
+        }
+
+        if (res.statusCode === 304) {
+            self.log.debug({ reported: reported },
+                'Network unchanged in NAPI');
+            S.gotoState('waiting');
             return;
         }
 
         self.cur = net;
+        self.etag = res.headers['etag'];
+        self.app.cache.set('nets', self.uuid, net, self.etag);
+        self.changed = changedFields(self.cur, self.old);
 
-        self.log.info('Refreshed network information');
+        self.log.info({ reported: reported, changed: self.changed },
+            'Refreshed network information');
 
         S.gotoState('waiting');
     }
 
-    self.app.napi.getNetwork(self.uuid, S.callback(afterGet));
+    var opts = {};
+
+    if (self.cur !== null && typeof (self.etag) === 'string') {
+        opts.headers = {
+            'If-None-Match': self.etag
+        };
+    }
+
+    self.app.napi.getNetwork(self.uuid, opts, S.callback(afterGet));
 };
 
 NetworkFSM.prototype.state_stopped = function (S) {
     S.validTransitions([ 'refresh' ]);
 
+    this.app.cache.remove('nets', this.uuid);
+
     S.gotoStateOn(this, 'refreshAsserted', 'refresh');
 };
 
-NetworkFSM.prototype.refresh = function () {
-    this.emit('refreshAsserted');
+/**
+ * Refresh the network from NAPI, optionally because of changes to "fields"
+ * reported by the changefeed.
+ */
+NetworkFSM.prototype.refresh = function (fields) {
+    assert.optionalArrayOfString(fields, 'fields');
+    var self = this;
+
+    if (fields !== undefined) {
+        fields.forEach(function (field) {
+            if (self.reported.indexOf(field) === -1) {
+                self.reported.push(field);
+            }
+        });
+    }
+
+    self.emit('refreshAsserted');
+};
+
+NetworkFSM.prototype.dump = function () {
+    var obj = mod_common.CommonFSM.prototype.dump.call(this);
+
+    obj.uuid = this.uuid;
+    obj.remote = this.cur;
+    obj.previous = this.old;
+    obj.etag = this.etag;
+    obj.reported = this.reported;
+    obj.changed = this.changed;
+
+    return obj;
 };
 
 NetworkFSM.prototype.stop = function () {
@@ -0,0 +1,168 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * nic-diff.js: comparing the local and remote copies of a NIC (or of an
+ * aggregation)
+ */
+
+'use strict';
+
+var mod_jsprim = require('jsprim');
+
+// --- Globals
+
+/*
+ * vmadm and NAPI don't always agree on how to represent these flags (vmadm
+ * can report them as strings), so they're compared as booleans.
+ */
+var ANTI_SPOOF_FIELDS = [
+    'allow_dhcp_spoofing',
+    'allow_ip_spoofing',
+    'allow_mac_spoofing',
+    'allow_restricted_traffic',
+    'allow_unfiltered_promisc'
+];
+
+/*
+ * Besides addresses (with their prefix lengths), vmadm allows a NIC's "ips" to
+ * contain these keywords, which configure the address through DHCP or SLAAC.
+ * NAPI doesn't know about them, so we leave them in place on the VM.
+ */
+var IPS_KEYWORDS = [
+    'addrconf',
+    'dhcp'
+];
+
+/*
+ * The order in which the NIC tags of a physical NIC or aggregation, and the
+ * member links of an aggregation, are listed isn't significant.
+ */
+var UNORDERED_FIELDS = [
+    'macs',
+    'nic_tags_provided'
+];
+
+
+// --- Internal helpers
+
+function isIpsKeyword(ip) {
+    return (IPS_KEYWORDS.indexOf(ip) !== -1);
+}
+
+function isIpsAddress(ip) {
+    return !isIpsKeyword(ip);
+}
+
+
+// --- Exports
+
+/**
+ * Interpret one of the anti-spoofing flags as a boolean: the strings "true"
+ * and "1" are true, while "false", "0" and missing values are false. Any other
+ * value (normally already a boolean) is returned as-is.
+ */
+function boolFromVal(value) {
+    if (value === 'false' || value === '0') {
+        return false;
+    } else if (value === undefined || value === null) {
+        return false;
+    } else if (value === 'true' || value === '1') {
+        return true;
+    } else {
+        // else should be boolean
+        return value;
+    }
+}
+
+/**
+ * Return the values of "fields" in "cur" that differ from "old", as an update
+ * to send to vmadm or NAPI so that "old" matches "cur". Fields missing from
+ * "cur" are never included, and "primary" is only ever included when it's
+ * true.
+ */
+function getDifferences(fields, cur, old) {
+    var update = {};
+
+    fields.forEach(function (field) {
+        if (ANTI_SPOOF_FIELDS.indexOf(field) !== -1) {
+            if (boolFromVal(cur[field]) !== boolFromVal(old[field])) {
+                update[field] = boolFromVal(cur[field]);
+            }
+            return;
+        }
+
+        if (field === 'ips' && Array.isArray(cur.ips)) {
+            var oldips = Array.isArray(old.ips) ? old.ips : [];
+            var addrs = oldips.filter(isIpsAddress);
+
+            if (!mod_jsprim.deepEqual(cur.ips.filter(isIpsAddress), addrs)) {
+                update.ips = cur.ips.concat(oldips.filter(function (ip) {
+                    return (isIpsKeyword(ip) && cur.ips.indexOf(ip) === -1);
+                }));
+            }
+            return;
+        }
+
+        if (UNORDERED_FIELDS.indexOf(field) !== -1 &&
+            Array.isArray(cur[field]) && Array.isArray(old[field])) {
+            if (!mod_jsprim.deepEqual(cur[field].slice().sort(),
+                old[field].slice().sort())) {
+                update[field] = cur[field];
+            }
+            return;
+        }
+
+        if (Array.isArray(cur[field])) {
+            if (!mod_jsprim.deepEqual(cur[field], old[field])) {
+                update[field] = cur[field];
+            }
+            return;
+        }
+
+        if (cur[field] !== old[field] && cur[field] !== undefined) {
+            update[field] = cur[field];
+        }
+    });
+
+    /*
+     * We only ever update "primary" to true. Updating it to "false" isn't
+     * necessary since setting a new primary NIC removes the flag from the
+     * old one.
+     */
+    if (update.primary !== true) {
+        delete update.primary;
+    }
+
+    /*
+     * The "ips" and "gateways" arrays hold all of a NIC's IPv4 and IPv6
+     * addresses (with their prefix lengths) and gateways, and so take the
+     * place of the older "ip", "netmask" and "gateway" properties. When
+     * "cur" has them, we go by them alone, since the older properties may be
+     * stale, and we avoid sending both forms to vmadm.
+     */
+    if (fields.indexOf('ips') !== -1 && Array.isArray(cur.ips)) {
+        delete update.ip;
+        delete update.netmask;
+    }
+
+    if (fields.indexOf('gateways') !== -1 && Array.isArray(cur.gateways)) {
+        delete update.gateway;
+    }
+
+    return update;
+}
+
+module.exports = {
+    ANTI_SPOOF_FIELDS: ANTI_SPOOF_FIELDS,
+    boolFromVal: boolFromVal,
+    getDifferences: getDifferences
+};
@@ -15,15 +15,9 @@ var mod_common = require('./common');
 var mod_jsprim = require('jsprim');
 var mod_util = require('util');
 
-// --- Globals
+var getDifferences = require('./nic-diff').getDifferences;
 
-var ANTI_SPOOF_FIELDS = [
-    'allow_dhcp_spoofing',
-    'allow_ip_spoofing',
-    'allow_mac_spoofing',
-    'allow_restricted_traffic',
-    'allow_unfiltered_promisc'
-];
+// --- Globals
 
 var LOCAL_FIELDS = [
     'belongs_to_type',
@@ -31,7 +25,19 @@ var LOCAL_FIELDS = [
     'cn_uuid',
     'owner_uuid',
     'primary',
-    'state'
+    'state',
+    'underlay'
+];
+
+/*
+ * The MTU, speed and NIC tags of the CN's physical NICs are determined by the
+ * CN, so for those NICs these are pushed up to NAPI as well (and aren't
+ * updated locally when they change in NAPI).
+ */
+var PHYSICAL_FIELDS = [
+    'link_speed',
+    'mtu',
+    'nic_tags_provided'
 ];
 
 var REMOTE_FIELDS = [
@@ -41,7 +47,9 @@ var REMOTE_FIELDS = [
     'allow_restricted_traffic',
     'allow_unfiltered_promisc',
     'gateway',
+    'gateways',
     'ip',
+    'ips',
     'model',
     'mtu',
     'netmask',
@@ -50,6 +58,16 @@ var REMOTE_FIELDS = [
     'vlan_id'
 ];
 
+/*
+ * The properties that NAPI reports for NICs on fabric networks.
+ */
+var FABRIC_FIELDS = [
+    'fabric',
+    'gateway_provisioned',
+    'internet_nat',
+    'vnet_id'
+];
+
 var VM_FIELDS = [
     'resolvers',
     'routes'
@@ -58,45 +76,19 @@ var VM_FIELDS = [
 
 // --- Internal helpers
 
-function boolFromVal(value) {
-    if (value === 'false' || value === '0') {
-        return false;
-    } else if (value === undefined || value === null) {
-        return false;
-    } else if (value === 'true' || value === '1') {
-        return true;
-    } else {
-        // else should be boolean
-        return value;
-    }
-}
-
-function getDifferences(fields, cur, old) {
-    var update = {};
-
-    fields.forEach(function (field) {
-        if (ANTI_SPOOF_FIELDS.indexOf(field) !== -1) {
-            if (boolFromVal(cur[field]) !== boolFromVal(old[field])) {
-                update[field] = boolFromVal(cur[field]);
-            }
-            return;
-        }
-
-        if (cur[field] !== old[field] && cur[field] !== undefined) {
-            update[field] = cur[field];
-        }
-    });
-
-    /*
-     * We only ever update "primary" to true. Updating it to "false" isn't
-     * necessary since setting a new primary NIC removes the flag from the
-     * old one.
-     */
-    if (update.primary !== true) {
-        delete update.primary;
+/*
+ * On the CN, fabric NICs are created over the overlay device for their virtual
+ * network, which vmadm finds from their NIC tag (e.g., "sdc_overlay/4151538").
+ * If NAPI only gives us the overlay's NIC tag and the virtual network ID
+ * separately, we put them together.
+ */
+function fabricNicTag(nic) {
+    if (nic.fabric === true && typeof (nic.nic_tag) === 'string' &&
+        nic.nic_tag.indexOf('/') === -1 && nic.vnet_id !== undefined) {
+        return nic.nic_tag + '/' + nic.vnet_id;
     }
 
-    return update;
+    return nic.nic_tag;
 }
 
 
@@ -163,19 +155,36 @@ function NicFSM(opts) {
     this.local = null;
     this.remote = null;
 
+    /*
+     * The PHYSICAL_FIELDS that have changed on the CN since we started
+     * tracking this NIC (see setLocal()), and the ones that differ from NAPI
+     * without having changed (see "update.napi").
+     */
+    this.changed = {};
+    this.drift = {};
+
     /*
      * We track the "Etag" header so that we can be careful
-     * about our DELETEs.
+     * about our PUTs and DELETEs.
      */
     this.etag = undefined;
 
     this.network = null;
 
+    /*
+     * The FABRIC_FIELDS of the NIC in NAPI, if it's on a fabric network.
+     */
+    this.fabric = null;
+
+    this.retryPolicy = opts.app.retryPolicy;
+
     mod_common.CommonFSM.call(this);
 }
 mod_util.inherits(NicFSM, mod_common.CommonFSM);
 
 NicFSM.prototype.state_init = function (S) {
+    S.gotoStateOn(this, 'releaseAsserted', 'release');
+
     S.immediate(function () {
         S.gotoState('refresh');
     });
@@ -185,10 +194,14 @@ NicFSM.prototype.state_init = function (S) {
  * Wait for external events to force us to recompare.
  */
 NicFSM.prototype.state_waiting = function (S) {
-    S.gotoStateOn(this, 'setAsserted', 'update');
-    S.gotoStateOn(this, 'stopAsserted', 'stopped');
-    S.gotoStateOn(this, 'refreshAsserted', 'refresh');
-    S.gotoStateOn(this, 'releaseAsserted', 'release');
+    var self = this;
+
+    self.resetRetries();
+
+    S.gotoStateOn(self, 'setAsserted', 'update');
+    S.gotoStateOn(self, 'stopAsserted', 'stopped');
+    S.gotoStateOn(self, 'refreshAsserted', 'refresh');
+    S.gotoStateOn(self, 'releaseAsserted', 'release');
 
     /*
      * Refresh periodically for installations w/o changefeed.
@@ -200,8 +213,12 @@ NicFSM.prototype.state_waiting = function (S) {
      */
     S.gotoStateTimeout(60 * 60 * 1000, 'refresh');
 
-    if (this.network !== null) {
-        S.gotoStateOn(this.network, 'changed', 'refresh');
+    if (self.network !== null) {
+        S.on(self.network, 'changed', function () {
+            self.setReason(mod_util.format('network %s changed: %s',
+                self.network.uuid, self.network.changed.join(', ')));
+            S.gotoState('refresh');
+        });
     }
 };
 
@@ -221,9 +238,24 @@ NicFSM.prototype.state_refresh = function (S) {
     S.gotoStateOn(self, 'releaseAsserted', 'release');
     S.gotoStateOn(this, 'stopAsserted', 'stopped');
 
+    /*
+     * If this is our first refresh and we have a copy of the NIC from
+     * before we restarted, ask NAPI to only send it back if it's changed.
+     */
+    var cached = self.remote === null
+        ? self.app.cache.get('nics', self.mac) : null;
+    var opts = {};
+
+    if (cached !== null) {
+        opts.headers = {
+            'If-None-Match': cached.etag
+        };
+    }
+
     function afterGet(err, nic, _, res) {
         if (err) {
             if (err.statusCode === 404) {
+                self.setReason(err);
                 if (self.remote === null) {
                     S.gotoState('create');
                 } else {
@@ -232,10 +264,20 @@ NicFSM.prototype.state_refresh = function (S) {
                 return;
             }
 
+            var delay = self.retryDelay();
+
             self.log.warn(err,
                 'Failed to refresh NIC information; ' +
-                'retrying in 5 seconds');
-            S.gotoStateTimeout(5000, 'refresh');
+                'retrying in %d ms', delay);
+            self.setReason(err);
+            S.gotoStateTimeout(delay, 'refresh');
+            return;
+        }
+
+        if (res.statusCode === 304) {
+            self.log.info('Cached NIC information is still current');
+            self.setRemote(cached.remote, cached.etag);
+            S.gotoState('update');
             return;
         }
 
@@ -246,7 +288,7 @@ NicFSM.prototype.state_refresh = function (S) {
         S.gotoState('update');
     }
 
-    self.app.napi.getNic(self.mac, S.callback(afterGet));
+    self.app.napi.getNic(self.mac, opts, S.callback(afterGet));
 };
 
 /**
@@ -278,6 +320,19 @@ NicFSM.prototype.state_create = function (S) {
 
     S.gotoStateOn(this, 'stopAsserted', 'stopped');
 
+    var remcreate = Object.assign({ check_owner: false }, self.local);
+
+    if (self.app.dryRun) {
+        /*
+         * Since the NIC doesn't exist in NAPI, we have nothing to compare
+         * against, and stay here until told to look again.
+         */
+        self.log.info({ nic: remcreate }, 'Dry run: not creating NIC in NAPI');
+        S.gotoStateOn(this, 'refreshAsserted', 'refresh');
+        S.gotoStateOn(this, 'releaseAsserted', 'release');
+        return;
+    }
+
     S.on(this, 'releaseAsserted', function () {
         /*
          * We wait to move to the "release" state to ensure that our
@@ -296,7 +351,8 @@ NicFSM.prototype.state_create = function (S) {
             self.log.warn(err,
                 'Failed to create NIC in NAPI; ' +
                 'scheduling state refresh');
-            S.gotoStateTimeout(5000, 'refresh');
+            self.setReason(err);
+            S.gotoStateTimeout(self.retryDelay(), 'refresh');
             return;
         }
 
@@ -305,8 +361,6 @@ NicFSM.prototype.state_create = function (S) {
         S.gotoState('update');
     }
 
-    var remcreate = Object.assign({ check_owner: false }, self.local);
-
     self.log.info({ nic: remcreate }, 'Syncing local NIC to NAPI');
 
     self.app.napi.createNic(self.mac, remcreate, S.callback(afterCreate));
@@ -348,6 +402,7 @@ NicFSM.prototype.state_update = function (S) {
         this.log.info({
             nic: this.local
         }, 'found our NIC unclaimed in NAPI, claiming.');
+        this.setReason('NIC unclaimed in NAPI');
 
         S.gotoState('update.napi');
         return;
@@ -357,6 +412,8 @@ NicFSM.prototype.state_update = function (S) {
      * If the belongs_to_uuid has changed, then we need to move the NIC.
      */
     if (this.local.belongs_to_uuid !== this.remote.belongs_to_uuid) {
+        this.setReason(mod_util.format('belongs_to_uuid is %s in NAPI',
+            this.remote.belongs_to_uuid));
         S.gotoState('remove');
         return;
     }
@@ -377,7 +434,10 @@ NicFSM.prototype.state_update.local = function (S) {
         'waiting'
     ]);
 
-    var locupdate = getDifferences(REMOTE_FIELDS, self.remote, self.local);
+    var remote = Object.assign({}, self.remote, {
+        nic_tag: fabricNicTag(self.remote)
+    });
+    var locupdate = getDifferences(self._remoteFields(), remote, self.local);
 
     var needNicUpdate = !mod_jsprim.isEmpty(locupdate);
     var needVmUpdate = this.needVmUpdate;
@@ -397,7 +457,8 @@ NicFSM.prototype.state_update.local = function (S) {
         if (err) {
             self.log.error(err, 'Failed to update NIC on %s %s',
                 self.local.belongs_to_type, self.local.belongs_to_uuid);
-            S.gotoState('update.local');
+            self.setReason(err);
+            S.gotoStateTimeout(self.retryDelay(), 'update.local');
             return;
         }
 
@@ -450,6 +511,13 @@ NicFSM.prototype.state_update.local = function (S) {
         return;
     }
 
+    if (self.app.dryRun) {
+        self.log.info({ payload: locupdate }, 'Dry run: not updating NIC ' +
+            'on %s %s', self.local.belongs_to_type, self.local.belongs_to_uuid);
+        S.gotoState('update.napi');
+        return;
+    }
+
     owner.updateNIC(self.mac, locupdate, S.callback(afterUpdate));
 };
 
@@ -468,11 +536,20 @@ NicFSM.prototype.state_update.local = function (S) {
  * through the "update" state afterwards will handle the local change, and so
  * that we wait for our PUT request to finish, thus ordering all of our
  * "update.napi" PUTs.
+ *
+ * Our PUTs are sent with an "If-Match" header, so that we never clobber a
+ * change made to the NIC in NAPI since we last fetched it (e.g., by VMAPI or
+ * an operator). If NAPI responds with a 412, we go back through "refresh" to
+ * fetch the latest version, and then compare it against our local NIC again.
+ * NAPI instances too old to send Etags don't check "If-Match" either, so when
+ * we don't have an Etag for the NIC, we fall back to sending the PUT without
+ * one (as net-agent always used to), rather than never updating the NIC.
  */
 NicFSM.prototype.state_update.napi = function (S) {
     var self = this;
 
     S.validTransitions([
+        'refresh',
         'release',
         'remove',
         'stopped',
@@ -481,7 +558,32 @@ NicFSM.prototype.state_update.napi = function (S) {
         'waiting'
     ]);
 
-    var remupdate = getDifferences(LOCAL_FIELDS, self.local, self.remote);
+    var diffs = getDifferences(self._localFields(), self.local, self.remote);
+    var remupdate = {};
+    var drift = {};
+
+    /*
+     * When a physical NIC's MTU, speed or NIC tags differ from NAPI without
+     * having changed on the CN, it's likely that an operator has updated the
+     * NIC in NAPI, to be applied when the CN next boots (like when setting up
+     * underlay NICs). We don't want to clobber those changes, so we just
+     * report them as drift, unless NAPI doesn't have a value for them yet.
+     */
+    mod_jsprim.forEachKey(diffs, function (field, value) {
+        if (PHYSICAL_FIELDS.indexOf(field) === -1 ||
+            mod_jsprim.hasKey(self.changed, field) ||
+            self.remote[field] === undefined) {
+            remupdate[field] = value;
+        } else {
+            drift[field] = {
+                local: value,
+                remote: self.remote[field]
+            };
+        }
+    });
+
+    self._setDrift(drift);
+
     if (mod_jsprim.isEmpty(remupdate)) {
         self.log.trace('No remote changes needed');
         S.gotoState('waiting');
@@ -505,17 +607,32 @@ NicFSM.prototype.state_update.napi = function (S) {
         if (err) {
             if (err.statusCode === 404) {
                 self.log.warn('NIC no longer in NAPI, removing');
+                self.setReason(err);
                 S.gotoState('remove');
                 return;
             }
 
+            if (err.statusCode === 412) {
+                self.log.info('NIC "Etag" changed in NAPI, refreshing');
+                self.setReason(err);
+                S.gotoState('refresh');
+                return;
+            }
+
+            var delay = self.retryDelay();
+
             self.log.error(err,
                 'Failed to update NIC in NAPI; ' +
-                'retrying in 5 seconds');
-            S.gotoStateTimeout(5000, 'update.napi');
+                'retrying in %d ms', delay);
+            self.setReason(err);
+            S.gotoStateTimeout(delay, 'update.napi');
             return;
         }
 
+        mod_jsprim.forEachKey(remupdate, function (field) {
+            delete self.changed[field];
+        });
+
         self.setRemote(nic, res.headers['etag']);
 
         S.gotoState('update');
@@ -523,9 +640,27 @@ NicFSM.prototype.state_update.napi = function (S) {
 
     remupdate.check_owner = false;
 
+    if (self.app.dryRun) {
+        self.log.info({ payload: remupdate },
+            'Dry run: not updating NIC in NAPI');
+        S.gotoState('waiting');
+        return;
+    }
+
     self.log.info({ payload: remupdate }, 'Updating NIC in NAPI');
 
-    self.app.napi.updateNic(self.mac, remupdate, S.callback(afterPut));
+    var opts = {};
+
+    if (typeof (self.etag) === 'string') {
+        opts.headers = {
+            'If-Match': self.etag
+        };
+    } else {
+        self.log.warn('No "Etag" set, updating NIC without "If-Match"');
+    }
+
+    self.app.napi.updateNic(self.mac, remupdate, opts,
+        S.callback(afterPut));
 };
 
 /**
@@ -533,6 +668,10 @@ NicFSM.prototype.state_update.napi = function (S) {
  * disappeared from NAPI or because the owner listed in NAPI differs from who
  * owns it locally (suggesting that two different VMs on Triton CNs have the
  * same MAC address).
+ *
+ * Once the NIC has been removed, the VM usually needs to be rebooted for the
+ * change to take effect. Whether and when that happens is determined by the
+ * configured RebootPolicy (see lib/reboot-policy.js).
  */
 NicFSM.prototype.state_remove = function (S) {
     S.gotoState('remove.nic');
@@ -544,7 +683,8 @@ NicFSM.prototype.state_remove.nic = function (S) {
     S.validTransitions([
         'remove.nic',
         'remove.reboot',
-        'stopped'
+        'stopped',
+        'waiting'
     ]);
 
     if (!mod_jsprim.hasKey(self.app.insts, self.local.belongs_to_uuid)) {
@@ -554,15 +694,29 @@ NicFSM.prototype.state_remove.nic = function (S) {
         return;
     }
 
+    if (self.app.dryRun) {
+        /*
+         * We keep tracking the NIC, since it's still on the VM, and will
+         * come back through here the next time it changes.
+         */
+        self.log.info('Dry run: not removing NIC from %s %s or rebooting it',
+            self.local.belongs_to_type, self.local.belongs_to_uuid);
+        S.gotoState('waiting');
+        return;
+    }
+
     S.gotoStateOn(this, 'stopAsserted', 'stopped');
 
     function afterRemove(err) {
         if (err) {
+            var delay = self.retryDelay();
+
             self.log.error(err,
                 'Failed to remove NIC from VM %s; ' +
-                'retrying in 5 seconds',
-                self.local.belongs_to_uuid);
-            S.gotoStateTimeout(5000, 'remove.nic');
+                'retrying in %d ms',
+                self.local.belongs_to_uuid, delay);
+            self.setReason(err);
+            S.gotoStateTimeout(delay, 'remove.nic');
             return;
         }
 
@@ -595,23 +749,84 @@ NicFSM.prototype.state_remove.reboot = function (S) {
         return;
     }
 
+    var inst = self.app.insts[self.local.belongs_to_uuid];
+    var decision = self.app.rebootPolicy.evaluate(inst.vm, new Date());
+
     S.gotoStateOn(this, 'stopAsserted', 'stopped');
 
     function afterRemove(err) {
         if (err) {
+            var delay = self.retryDelay();
+
             self.log.error(err,
                 'Failed to reboot VM %s; ' +
-                'retrying in 5 seconds',
-                self.local.belongs_to_uuid);
-            S.gotoStateTimeout(5000, 'remove.reboot');
+                'retrying in %d ms',
+                self.local.belongs_to_uuid, delay);
+            self.setReason(err);
+            S.gotoStateTimeout(delay, 'remove.reboot');
+            return;
+        }
+
+        S.gotoState('stopped');
+    }
+
+    function afterMark(err) {
+        if (err) {
+            var delay = self.retryDelay();
+
+            self.log.error(err,
+                'Failed to mark VM %s as needing a reboot; ' +
+                'retrying in %d ms',
+                self.local.belongs_to_uuid, delay);
+            self.setReason(err);
+            S.gotoStateTimeout(delay, 'remove.reboot');
             return;
         }
 
         S.gotoState('stopped');
     }
 
-    self.app.insts[self.local.belongs_to_uuid].reboot(
-        S.callback(afterRemove));
+    switch (decision.action) {
+    case 'reboot':
+        inst.reboot(S.callback(afterRemove));
+        return;
+    case 'skip':
+        self.log.info('Not rebooting VM %s after removing NIC: %s',
+            inst.uuid, decision.reason);
+        S.gotoState('stopped');
+        return;
+    case 'mark':
+        self.log.info('Not rebooting VM %s after removing NIC: %s',
+            inst.uuid, decision.reason);
+        inst.markRebootRequired(mod_util.format('NIC %s was removed',
+            self.mac), S.callback(afterMark));
+        return;
+    case 'wait':
+        if (decision.delay === null) {
+            /*
+             * There's no telling when (or whether) the VM's owner will stop
+             * it, and the NIC has already been released from the VM, so
+             * we'd never leave this state on our own. We mark the VM
+             * instead, so that its owner knows that it needs a reboot (the
+             * marker gets cleared once it has been restarted).
+             */
+            self.log.info('Not rebooting VM %s after removing NIC: %s',
+                inst.uuid, decision.reason);
+            self.setReason(decision.reason);
+            inst.markRebootRequired(mod_util.format('NIC %s was removed',
+                self.mac), S.callback(afterMark));
+            return;
+        }
+
+        self.log.info('Postponing reboot of VM %s: %s',
+            inst.uuid, decision.reason);
+        self.setReason(decision.reason);
+        S.gotoStateTimeout(decision.delay, 'remove.reboot');
+        return;
+    default:
+        assert.fail('unknown reboot action: ' + decision.action);
+        break;
+    }
 };
 
 /**
@@ -657,6 +872,13 @@ NicFSM.prototype.state_release.delete = function (S) {
         return;
     }
 
+    if (self.app.dryRun) {
+        self.log.info({ nic: self.remote },
+            'Dry run: not deleting NIC from NAPI');
+        S.gotoState('stopped');
+        return;
+    }
+
     S.gotoStateOn(this, 'stopAsserted', 'stopped');
 
     function afterDelete(err) {
@@ -668,12 +890,14 @@ NicFSM.prototype.state_release.delete = function (S) {
             }
 
             if (err.statusCode === 412) {
+                self.setReason(err);
                 self.log.info('NIC "Etag" changed in NAPI, refreshing');
                 S.gotoState('release.refresh');
                 return;
             }
 
-            S.gotoStateTimeout(5000, 'release.delete');
+            self.setReason(err);
+            S.gotoStateTimeout(self.retryDelay(), 'release.delete');
             return;
         }
 
@@ -699,10 +923,13 @@ NicFSM.prototype.state_release.refresh = function (S) {
                 return;
             }
 
+            var delay = self.retryDelay();
+
             self.log.warn(err,
                 'Failed to refresh NIC information for release; ' +
-                'retrying in 5 seconds');
-            S.gotoStateTimeout(5000, 'release.refresh');
+                'retrying in %d ms', delay);
+            self.setReason(err);
+            S.gotoStateTimeout(delay, 'release.refresh');
             return;
         }
 
@@ -723,7 +950,10 @@ NicFSM.prototype.state_stopped = function (S) {
 
     this.local = null;
     this.remote = null;
+    this.changed = {};
+    this.drift = {};
     this.etag = undefined;
+    this.app.cache.remove('nics', this.mac);
 
     this.log.info({mac: this.mac}, 'Stopped tracking NIC');
 
@@ -734,10 +964,75 @@ NicFSM.prototype.setLocal = function (nic) {
     assert.object(nic, 'nic');
     var self = this;
 
+    var changes = self.local === null
+        ? {} : getDifferences(PHYSICAL_FIELDS, nic, self.local);
+
+    mod_jsprim.forEachKey(changes, function (field, value) {
+        self.log.info({
+            field: field,
+            old: self.local[field],
+            cur: value
+        }, 'NIC %s changed on CN', self.mac);
+        self.changed[field] = true;
+    });
+
+    /*
+     * Our owner passes us its current view of the NIC whenever it reloads
+     * its own state, which for the CN happens every few minutes. When nothing
+     * has changed there's nothing for us to compare, and going through
+     * "update" would put off our periodic refresh from NAPI.
+     */
+    if (self.local !== null && mod_jsprim.deepEqual(nic, self.local)) {
+        return;
+    }
+
     self.local = nic;
     self.emitDelayed('setAsserted', 0);
 };
 
+/**
+ * Check whether this is one of the CN's physical NICs, which are the only ones
+ * that provide NIC tags.
+ */
+NicFSM.prototype._isPhysical = function () {
+    return (this.local !== null && this.local.belongs_to_type === 'server' &&
+        Array.isArray(this.local.nic_tags_provided));
+};
+
+NicFSM.prototype._localFields = function () {
+    return this._isPhysical()
+        ? LOCAL_FIELDS.concat(PHYSICAL_FIELDS) : LOCAL_FIELDS;
+};
+
+NicFSM.prototype._remoteFields = function () {
+    if (!this._isPhysical()) {
+        return REMOTE_FIELDS;
+    }
+
+    return REMOTE_FIELDS.filter(function (field) {
+        return (PHYSICAL_FIELDS.indexOf(field) === -1);
+    });
+};
+
+/**
+ * Record the PHYSICAL_FIELDS that differ between the CN and NAPI without
+ * having been changed on the CN, logging whenever they change.
+ */
+NicFSM.prototype._setDrift = function (drift) {
+    if (mod_jsprim.deepEqual(drift, this.drift)) {
+        return;
+    }
+
+    if (mod_jsprim.isEmpty(drift)) {
+        this.log.info('NIC %s matches NAPI again', this.mac);
+    } else {
+        this.log.warn({ drift: drift }, 'NIC %s on CN differs from NAPI; ' +
+            'leaving NAPI as-is', this.mac);
+    }
+
+    this.drift = drift;
+};
+
 /**
  * Update our copy of the NIC in NAPI (as well as its etag if the
  * NAPI instance is new enough to report it).
@@ -748,8 +1043,24 @@ NicFSM.prototype.setRemote = function (nic, etag) {
 
     this.needVmUpdate = mod_common.hasChanged(VM_FIELDS, nic, this.remote);
 
+    var fabric = null;
+    if (nic.fabric === true) {
+        fabric = {};
+        FABRIC_FIELDS.forEach(function (field) {
+            fabric[field] = nic[field];
+        });
+    }
+
+    if (fabric !== null && this.fabric !== null &&
+        fabric.vnet_id !== this.fabric.vnet_id) {
+        this.log.info('NIC moved from virtual network %s to %s',
+            this.fabric.vnet_id, fabric.vnet_id);
+    }
+
+    this.fabric = fabric;
     this.remote = nic;
     this.etag = etag;
+    this.app.cache.set('nics', this.mac, nic, etag);
     this.network = mod_jsprim.hasKey(nic, 'network_uuid')
         ? this.app.watchNet(nic.network_uuid)
         : null;
@@ -772,6 +1083,21 @@ NicFSM.prototype.releaseFrom = function (belongs_to_uuid) {
     this.emit('releaseAsserted', belongs_to_uuid);
 };
 
+NicFSM.prototype.dump = function () {
+    var obj = mod_common.CommonFSM.prototype.dump.call(this);
+
+    obj.mac = this.mac;
+    obj.local = this.local;
+    obj.remote = this.remote;
+    obj.etag = this.etag;
+    obj.released = this.released;
+    obj.changed = this.changed;
+    obj.drift = this.drift;
+    obj.fabric = this.fabric;
+
+    return obj;
+};
+
 NicFSM.prototype.stop = function () {
     this.emit('stopAsserted');
 };
@@ -0,0 +1,214 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_common = require('./common');
+var mod_jsprim = require('jsprim');
+var mod_util = require('util');
+
+// --- Globals
+
+/*
+ * How often we look for orphaned NICs. Since this should only find anything
+ * when VMs have been destroyed while net-agent wasn't running, we don't need
+ * to check very often.
+ */
+var SWEEP_INTERVAL = 60 * 60 * 1000;
+
+/*
+ * How long after starting we wait before our first sweep. If the VMs on this
+ * CN and its sysinfo haven't been loaded by then, we keep checking this often
+ * until they have.
+ */
+var FIRST_SWEEP_DELAY = 60 * 1000;
+
+/*
+ * The number of NICs to request from NAPI at a time.
+ */
+var SWEEP_LIMIT = 500;
+
+/*
+ * We only consider NICs in these states, so that we skip NICs that have been
+ * created for VMs that are still being provisioned onto this CN.
+ */
+var SWEEP_STATES = [
+    'running',
+    'stopped'
+];
+
+
+// --- Exports
+
+/**
+ * The OrphanFSM periodically lists the NICs that NAPI believes are on this CN,
+ * and looks for any that belong to VMs which aren't here. This can happen when
+ * a VM gets destroyed (e.g., with zoneadm(1M)) while net-agent isn't running,
+ * since we then never see the VM go away.
+ *
+ * A NIC needs to look orphaned on two consecutive sweeps before we act on it,
+ * so that we don't trip over VMs that are in the middle of being moved or
+ * provisioned. We then either just log the NIC, or (if "release_orphan_nics"
+ * is set in our configuration) release it from NAPI.
+ */
+function OrphanFSM(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.bool(opts.release, 'opts.release');
+
+    this.app = opts.app;
+    this.release = opts.release;
+    this.log = opts.app.log.child({
+        component: 'orphans'
+    }, true);
+
+    /*
+     * NICs that looked orphaned on the last sweep, keyed by MAC address.
+     */
+    this.orphans = {};
+
+    /*
+     * Whether we've made our first sweep yet.
+     */
+    this.swept = false;
+
+    mod_common.CommonFSM.call(this);
+}
+mod_util.inherits(OrphanFSM, mod_common.CommonFSM);
+
+OrphanFSM.prototype.state_init = function (S) {
+    S.gotoStateOn(this, 'startAsserted', 'waiting');
+};
+
+OrphanFSM.prototype.state_waiting = function (S) {
+    S.validTransitions([ 'stopped', 'sweep' ]);
+
+    S.gotoStateOn(this, 'stopAsserted', 'stopped');
+    S.gotoStateTimeout(this.swept ? SWEEP_INTERVAL : FIRST_SWEEP_DELAY,
+        'sweep');
+};
+
+OrphanFSM.prototype.state_sweep = function (S) {
+    var self = this;
+    var nics = [];
+
+    S.validTransitions([ 'stopped', 'waiting' ]);
+
+    S.gotoStateOn(self, 'stopAsserted', 'stopped');
+
+    if (!self.app.vmsLoaded || !self.app.server.loaded) {
+        self.log.info('VMs or sysinfo not loaded yet; ' +
+            'delaying orphaned NIC sweep');
+        S.gotoState('waiting');
+        return;
+    }
+
+    self.swept = true;
+
+    function listPage() {
+        self.app.napi.listNics({
+            cn_uuid: self.app.cn_uuid,
+            belongs_to_type: 'zone',
+            limit: SWEEP_LIMIT,
+            offset: nics.length
+        }, S.callback(afterList));
+    }
+
+    function afterList(err, page) {
+        if (err) {
+            self.log.warn(err, 'Failed to list NICs for this CN');
+            self.setReason(err);
+            S.gotoState('waiting');
+            return;
+        }
+
+        nics = nics.concat(page);
+
+        if (page.length === SWEEP_LIMIT) {
+            listPage();
+            return;
+        }
+
+        self._sweep(nics);
+
+        S.gotoState('waiting');
+    }
+
+    listPage();
+};
+
+OrphanFSM.prototype.state_stopped = function (S) {
+    S.validTransitions([ ]);
+};
+
+OrphanFSM.prototype._sweep = function (nics) {
+    var self = this;
+    var prev = self.orphans;
+
+    self.orphans = {};
+
+    nics.forEach(function (nic) {
+        var vm_uuid = nic.belongs_to_uuid;
+
+        if (nic.cn_uuid !== self.app.cn_uuid ||
+            nic.belongs_to_type !== 'zone' ||
+            SWEEP_STATES.indexOf(nic.state) === -1 ||
+            mod_jsprim.hasKey(self.app.insts, vm_uuid) ||
+            mod_jsprim.hasKey(self.app.ignoredVMs, vm_uuid)) {
+            return;
+        }
+
+        self.orphans[nic.mac] = vm_uuid;
+
+        if (prev[nic.mac] !== vm_uuid) {
+            self.log.info({ nic: nic },
+                'NIC %s looks orphaned; will check again', nic.mac);
+            return;
+        }
+
+        if (!self.release) {
+            self.log.warn({ nic: nic }, 'NIC %s belongs to VM %s, ' +
+                'which is not on this CN', nic.mac, vm_uuid);
+            return;
+        }
+
+        if (self.app.dryRun) {
+            self.log.warn({ nic: nic, dry_run: true }, 'Dry run: would ' +
+                'release NIC %s, since VM %s is not on this CN',
+                nic.mac, vm_uuid);
+            return;
+        }
+
+        self.log.warn({ nic: nic }, 'Releasing NIC %s, since VM %s ' +
+            'is not on this CN', nic.mac, vm_uuid);
+
+        self.app.watchNic(nic.mac).releaseFrom(vm_uuid);
+    });
+};
+
+OrphanFSM.prototype.dump = function () {
+    var obj = mod_common.CommonFSM.prototype.dump.call(this);
+
+    obj.release = this.release;
+    obj.orphans = this.orphans;
+
+    return obj;
+};
+
+OrphanFSM.prototype.start = function () {
+    this.emit('startAsserted');
+};
+
+OrphanFSM.prototype.stop = function () {
+    this.emit('stopAsserted');
+};
+
+module.exports = OrphanFSM;
@@ -0,0 +1,220 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * reboot-policy.js: deciding when net-agent may reboot VMs
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var VError = require('verror');
+
+// --- Globals
+
+/*
+ * The available policies:
+ *
+ * - "always", reboot the VM right away (the historical behaviour)
+ * - "never", leave the VM alone
+ * - "stopped", don't reboot running VMs, but wait until they've been stopped
+ *   by their owner, at which point they'll pick up the change when started
+ * - "window", wait until the configured maintenance window to reboot the VM
+ * - "defer", leave the VM alone, but mark it as needing a reboot
+ */
+var POLICIES = [
+    'always',
+    'never',
+    'stopped',
+    'window',
+    'defer'
+];
+
+var DEFAULT_POLICY = 'always';
+
+var MINUTE = 60 * 1000;
+var DAY = 24 * 60 * MINUTE;
+
+var WINDOW_RE = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/;
+
+
+// --- Internal helpers
+
+function parseMinutes(hours, minutes) {
+    var h = Number(hours);
+    var m = Number(minutes);
+
+    if (h > 23 || m > 59) {
+        return null;
+    }
+
+    return h * 60 + m;
+}
+
+/*
+ * Parse a maintenance window of the form "HH:MM-HH:MM" (in UTC) into the
+ * minutes after midnight at which it starts and ends. The window may wrap
+ * around midnight (e.g., "23:00-01:00").
+ */
+function parseWindow(str) {
+    var m = WINDOW_RE.exec(str);
+    var start, end;
+
+    if (m !== null) {
+        start = parseMinutes(m[1], m[2]);
+        end = parseMinutes(m[3], m[4]);
+    }
+
+    if (m === null || start === null || end === null || start === end) {
+        throw new VError('invalid reboot window %j (expected "HH:MM-HH:MM")',
+            str);
+    }
+
+    return {
+        start: start,
+        end: end
+    };
+}
+
+
+// --- Exports
+
+/**
+ * The RebootPolicy decides what to do when a NicFSM has removed a NIC from a
+ * VM (see NicFSM's "remove.reboot" state), and the VM would need to be
+ * rebooted for the change to take effect. Surprise reboots are disruptive to
+ * the owners of these VMs, so operators can choose one of the policies listed
+ * in POLICIES. Owners can also opt their VMs out of these reboots by setting
+ * "no_nic_reboot" in their internal_metadata, in which case their VM is
+ * marked instead.
+ */
+function RebootPolicy(opts) {
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+    assert.optionalString(opts.policy, 'opts.policy');
+    assert.optionalString(opts.window, 'opts.window');
+
+    this.policy = opts.policy || DEFAULT_POLICY;
+    this.window = null;
+
+    if (POLICIES.indexOf(this.policy) === -1) {
+        throw new VError('unknown reboot policy %j (expected one of: %s)',
+            this.policy, POLICIES.join(', '));
+    }
+
+    if (this.policy === 'window') {
+        if (opts.window === undefined) {
+            throw new VError('reboot policy "window" requires a window');
+        }
+
+        this.window = parseWindow(opts.window);
+    }
+}
+
+/**
+ * Return how many milliseconds there are until the maintenance window next
+ * opens, or 0 if we're currently within it.
+ */
+RebootPolicy.prototype.windowDelay = function windowDelay(now) {
+    assert.date(now, 'now');
+    assert.object(this.window, 'maintenance window');
+
+    var start = this.window.start * MINUTE;
+    var end = this.window.end * MINUTE;
+    var cur = now.getUTCHours() * 60 * MINUTE +
+        now.getUTCMinutes() * MINUTE +
+        now.getUTCSeconds() * 1000 +
+        now.getUTCMilliseconds();
+
+    var inside = start < end
+        ? (cur >= start && cur < end)
+        : (cur >= start || cur < end);
+
+    if (inside) {
+        return 0;
+    }
+
+    return (start - cur + DAY) % DAY;
+};
+
+/**
+ * Decide what to do about rebooting a VM (as tracked by its InstanceFSM) at
+ * time "now". This returns an object whose "action" is one of:
+ *
+ * - "reboot", reboot the VM now
+ * - "skip", don't reboot the VM
+ * - "mark", don't reboot the VM, but mark it as needing a reboot
+ * - "wait", check again after "delay" milliseconds, or (if "delay" is null)
+ *   once the VM has been stopped, which the NicFSM can't wait on, and so
+ *   marks the VM instead
+ *
+ * along with a "reason" explaining why.
+ */
+RebootPolicy.prototype.evaluate = function evaluate(vm, now) {
+    assert.object(vm, 'vm');
+    assert.date(now, 'now');
+
+    if (vm.no_nic_reboot) {
+        return {
+            action: 'mark',
+            reason: 'VM has opted out of reboots'
+        };
+    }
+
+    switch (this.policy) {
+    case 'always':
+        return {
+            action: 'reboot',
+            reason: 'reboot policy is "always"'
+        };
+    case 'never':
+        return {
+            action: 'skip',
+            reason: 'reboot policy is "never"'
+        };
+    case 'defer':
+        return {
+            action: 'mark',
+            reason: 'reboot policy is "defer"'
+        };
+    case 'stopped':
+        if (vm.state === 'running') {
+            return {
+                action: 'wait',
+                delay: null,
+                reason: 'waiting for VM to be stopped'
+            };
+        }
+
+        return {
+            action: 'skip',
+            reason: 'VM is not running'
+        };
+    case 'window':
+        var delay = this.windowDelay(now);
+
+        if (delay === 0) {
+            return {
+                action: 'reboot',
+                reason: 'within maintenance window'
+            };
+        }
+
+        return {
+            action: 'wait',
+            delay: delay,
+            reason: 'waiting for maintenance window'
+        };
+    default:
+        throw new VError('unknown reboot policy %j', this.policy);
+    }
+};
+
+module.exports = RebootPolicy;
@@ -0,0 +1,273 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * routes.js: computing the routes and resolvers for a VM from its NICs
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_ip6addr = require('ip6addr');
+var mod_jsprim = require('jsprim');
+
+// --- Globals
+
+/*
+ * When two of a VM's NICs have routes to the same destination through
+ * different gateways, the primary NIC's route is used. Otherwise, the NICs are
+ * ordered by either their interface name ("net0" before "net1") or MAC
+ * address, depending on the "route_precedence" configuration.
+ */
+var PRECEDENCES = [
+    'interface',
+    'mac'
+];
+
+var DEFAULT_PRECEDENCE = 'interface';
+
+
+// --- Internal helpers
+
+function parseAddr(str) {
+    try {
+        return mod_ip6addr.parse(str);
+    } catch (_) {
+        return null;
+    }
+}
+
+
+// --- Exports
+
+/**
+ * Return the canonical text form of an IPv4 or IPv6 address (optionally with
+ * a prefix length or, for IPv6, a zone), so that different ways of writing
+ * the same address (e.g., "fd00:0::1" and "fd00::1") compare as equal.
+ * Anything that isn't an address (like vmadm's "nics[1]") is returned as-is.
+ */
+function canonicalAddr(str) {
+    assert.string(str, 'str');
+
+    var prefix = '';
+    var zone = '';
+    var addr = str;
+    var idx;
+
+    idx = addr.indexOf('/');
+    if (idx !== -1) {
+        prefix = '/' + Number(addr.substr(idx + 1));
+        addr = addr.substr(0, idx);
+    }
+
+    idx = addr.indexOf('%');
+    if (idx !== -1) {
+        zone = addr.substr(idx);
+        addr = addr.substr(0, idx);
+    }
+
+    var parsed = parseAddr(addr);
+    if (parsed === null) {
+        return str;
+    }
+
+    return parsed.toString() + zone + prefix;
+}
+
+/**
+ * Check whether an address is an IPv6 one.
+ */
+function isIPv6(str) {
+    assert.string(str, 'str');
+
+    var parsed = parseAddr(str.split(/[/%]/)[0]);
+
+    return (parsed !== null && parsed.kind() === 'ipv6');
+}
+
+/**
+ * Put a NIC's routes (as they come from NAPI) into canonical form. IPv6
+ * link-local next hops (e.g., "fe80::1") are passed through like any other
+ * gateway: vmadm only takes addresses, "nics[N]" or "macs[MAC]" as gateways,
+ * so we don't qualify them with the zone of the NIC's interface.
+ */
+function normalizeRoutes(routes) {
+    assert.object(routes, 'routes');
+
+    var normalized = {};
+
+    mod_jsprim.forEachKey(routes, function (dst, gw) {
+        normalized[canonicalAddr(dst)] = canonicalAddr(gw);
+    });
+
+    return normalized;
+}
+
+/**
+ * Merge the (normalized) routes of several NICs, which are given as an array
+ * of { id, routes } objects in order of precedence. When several NICs have
+ * routes to the same destination through different gateways, the first one
+ * wins, and the others are reported in the returned "conflicts", which look
+ * like:
+ *
+ *     {
+ *         "destination": "10.2.0.0/16",
+ *         "gateway": "10.0.0.1",
+ *         "nic": <id of the NIC whose route is used>,
+ *         "ignored": [ { "nic": <id>, "gateway": "10.1.0.1" }, ... ]
+ *     }
+ */
+function mergeRoutes(sources) {
+    assert.arrayOfObject(sources, 'sources');
+
+    var routes = {};
+    var owners = {};
+    var conflicts = {};
+
+    sources.forEach(function (source) {
+        assert.string(source.id, 'source.id');
+        assert.object(source.routes, 'source.routes');
+
+        mod_jsprim.forEachKey(source.routes, function (dst, gw) {
+            if (!mod_jsprim.hasKey(routes, dst)) {
+                routes[dst] = gw;
+                owners[dst] = source.id;
+                return;
+            }
+
+            if (routes[dst] === gw) {
+                return;
+            }
+
+            if (!mod_jsprim.hasKey(conflicts, dst)) {
+                conflicts[dst] = {
+                    destination: dst,
+                    gateway: routes[dst],
+                    nic: owners[dst],
+                    ignored: []
+                };
+            }
+
+            conflicts[dst].ignored.push({
+                nic: source.id,
+                gateway: gw
+            });
+        });
+    });
+
+    return {
+        routes: routes,
+        conflicts: Object.keys(conflicts).sort().map(function (dst) {
+            return conflicts[dst];
+        })
+    };
+}
+
+/**
+ * Compare a VM's current routes with the (normalized) routes that it should
+ * have, and return the "set_routes" and "remove_routes" for `vmadm update`.
+ * Since the VM's routes may be written differently from ours, we remove them
+ * by their original destination when rewriting them.
+ */
+function diffRoutes(current, target) {
+    assert.object(current, 'current');
+    assert.object(target, 'target');
+
+    var set = {};
+    var remove = [];
+    var existing = {};
+
+    mod_jsprim.forEachKey(current, function (dst, gw) {
+        existing[canonicalAddr(dst)] = {
+            dst: dst,
+            gw: canonicalAddr(gw)
+        };
+    });
+
+    mod_jsprim.forEachKey(target, function (dst, gw) {
+        var cur = existing[dst];
+
+        delete existing[dst];
+
+        if (cur !== undefined && cur.gw === gw) {
+            return;
+        }
+
+        if (cur !== undefined && cur.dst !== dst) {
+            remove.push(cur.dst);
+        }
+
+        set[dst] = gw;
+    });
+
+    mod_jsprim.forEachKey(existing, function (_, cur) {
+        remove.push(cur.dst);
+    });
+
+    return {
+        set: set,
+        remove: remove
+    };
+}
+
+/**
+ * Merge the resolvers from several NICs (given in order of preference) into
+ * the list for their VM. Duplicates are dropped, and IPv4 nameservers are
+ * placed before IPv6 ones, so that VMs that only support IPv4 (and only look
+ * at the first few nameservers) keep working on dual-stack networks.
+ *
+ * If the VM's "current" resolvers are already the same nameservers, just in a
+ * different order, they're returned as-is: we only reorder resolvers when
+ * they change, rather than updating every VM whose resolvers were set before
+ * we started ordering them.
+ */
+function mergeResolvers(lists, current) {
+    assert.arrayOfArray(lists, 'lists');
+    assert.optionalArrayOfString(current, 'current');
+
+    var v4 = [];
+    var v6 = [];
+
+    lists.forEach(function (resolvers) {
+        resolvers.forEach(function (resolver) {
+            var canon = canonicalAddr(resolver);
+
+            if (v4.indexOf(canon) !== -1 || v6.indexOf(canon) !== -1) {
+                return;
+            }
+
+            if (isIPv6(canon)) {
+                v6.push(canon);
+            } else {
+                v4.push(canon);
+            }
+        });
+    });
+
+    var merged = v4.concat(v6);
+
+    if (current !== undefined && mod_jsprim.deepEqual(
+        current.map(canonicalAddr).sort(), merged.slice().sort())) {
+        return current;
+    }
+
+    return merged;
+}
+
+module.exports = {
+    DEFAULT_PRECEDENCE: DEFAULT_PRECEDENCE,
+    PRECEDENCES: PRECEDENCES,
+    canonicalAddr: canonicalAddr,
+    diffRoutes: diffRoutes,
+    isIPv6: isIPv6,
+    mergeResolvers: mergeResolvers,
+    mergeRoutes: mergeRoutes,
+    normalizeRoutes: normalizeRoutes
+};
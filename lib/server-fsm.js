@@ -11,14 +11,153 @@
 'use strict';
 
 var assert = require('assert-plus');
+var mod_child = require('child_process');
 var mod_common = require('./common');
+var mod_hostnet = require('./host-net');
 var mod_jsprim = require('jsprim');
 var mod_util = require('util');
+var mod_vasync = require('vasync');
+
+var LineStream = require('lstream');
+var VError = require('verror');
 
 // --- Globals
 
 var VNIC_NAME_RE = /^([a-zA-Z0-9_]{0,31})[0-9]+$/;
 
+/*
+ * Not every change to the CN's links shows up as an event, so we periodically
+ * reload sysinfo, unless configured otherwise.
+ */
+var DEFAULT_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+/*
+ * Link events tend to come in bursts (e.g., when an aggregation and all of its
+ * links go down at once), so we reload sysinfo at most once every 5 seconds.
+ */
+var EVENT_REFRESH_DELAY = 5 * 1000;
+
+
+// --- Internal helpers
+
+/*
+ * The SysinfoEventFSM runs a command that prints a line whenever something
+ * reported by sysinfo changes (like a link going down, or a VNIC getting
+ * created), and emits "changed" for each one, so that ServerFSM knows to
+ * reload sysinfo. How to watch for these varies between platform versions, so
+ * the command is configurable. If it exits, we restart it after a delay.
+ */
+function SysinfoEventFSM(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.arrayOfString(opts.argv, 'opts.argv');
+    assert.ok(opts.argv.length > 0, 'opts.argv is non-empty');
+
+    this.argv = opts.argv;
+    this.log = opts.app.log.child({
+        component: 'sysinfo-events'
+    }, true);
+
+    this.proc = null;
+    this.stdout = null;
+    this.stderr = null;
+
+    this.retryPolicy = opts.app.retryPolicy;
+
+    mod_common.CommonFSM.call(this);
+}
+mod_util.inherits(SysinfoEventFSM, mod_common.CommonFSM);
+
+SysinfoEventFSM.prototype.state_init = function (S) {
+    S.immediate(function () {
+        S.gotoState('running');
+    });
+};
+
+SysinfoEventFSM.prototype.state_running = function (S) {
+    var self = this;
+
+    S.validTransitions([ 'restarting', 'stopped' ]);
+
+    self.proc = mod_child.spawn(self.argv[0], self.argv.slice(1), {
+        stdio: [ 'ignore', 'pipe', 'pipe' ]
+    });
+
+    self.stdout = new LineStream();
+    self.stderr = new LineStream();
+
+    self.proc.stdout.pipe(self.stdout);
+    self.proc.stderr.pipe(self.stderr);
+
+    S.on(self, 'stopAsserted', function () {
+        self.proc.kill('SIGTERM');
+
+        S.gotoState('stopped');
+    });
+
+    S.on(self.stdout, 'readable', function () {
+        var line;
+
+        while ((line = self.stdout.read()) !== null) {
+            self.log.debug({ line: line.toString() }, 'new sysinfo event');
+
+            /*
+             * The command is working, so if it exits later we start
+             * over with the shortest delay.
+             */
+            self.resetRetries();
+            self.emit('changed');
+        }
+    });
+
+    S.on(self.stderr, 'readable', function () {
+        var lines = [];
+        var line;
+
+        while ((line = self.stderr.read()) !== null) {
+            lines.push(line.toString());
+        }
+
+        self.log.warn({ stderr: lines.join('\n') },
+            'sysinfo event command stderr output');
+    });
+
+    S.on(self.proc, 'error', function (err) {
+        self.log.error(err, 'failed to run sysinfo event command');
+        self.setReason(err);
+
+        S.gotoState('restarting');
+    });
+
+    S.on(self.proc, 'exit', function (code, signal) {
+        self.setReason(mod_util.format('exited with code %j, signal %j',
+            code, signal));
+
+        S.gotoState('restarting');
+    });
+};
+
+SysinfoEventFSM.prototype.state_restarting = function (S) {
+    S.validTransitions([ 'running', 'stopped' ]);
+
+    var delay = this.retryDelay();
+
+    this.log.warn({ argv: this.argv },
+        'sysinfo event command exited; restarting in %d ms', delay);
+
+    S.gotoStateOn(this, 'stopAsserted', 'stopped');
+    S.gotoStateTimeout(delay, 'running');
+};
+
+SysinfoEventFSM.prototype.state_stopped = function (S) {
+    S.validTransitions([ ]);
+};
+
+SysinfoEventFSM.prototype.stop = function () {
+    this.emit('stopAsserted');
+};
+
+
 // --- Exports
 
 function ServerFSM(opts) {
@@ -26,6 +165,9 @@ function ServerFSM(opts) {
     assert.uuid(opts.uuid, 'opts.uuid');
     assert.object(opts.app, 'opts.app');
     assert.optionalFunc(opts.loadSysinfo, 'opts.loadSysinfo');
+    assert.optionalNumber(opts.refreshInterval, 'opts.refreshInterval');
+    assert.optionalArrayOfString(opts.watchCommand, 'opts.watchCommand');
+    assert.optionalObject(opts.hostNet, 'opts.hostNet');
 
     this.uuid = opts.uuid;
     this.app = opts.app;
@@ -34,16 +176,61 @@ function ServerFSM(opts) {
         cn_uuid: this.uuid
     }, true);
 
+    /*
+     * Whether we've loaded sysinfo yet.
+     */
+    this.loaded = false;
+
     this.nics = {};
     this.aggrs = {};
     this.nictags = {};
 
+    /*
+     * The name and kind ("pnic" or "vnic") of the link for each MAC address,
+     * along with the host link, VLAN and MTU of VNICs.
+     */
+    this.links = {};
+
+    /*
+     * The overlay devices on the CN, by their virtual network ID.
+     */
+    this.overlays = {};
+
     /*
      * Allow caller to pass in a function for loading sysinfo. Otherwise we'll
      * default to calling /usr/bin/sysinfo.
      */
     this.loadSysinfo = opts.loadSysinfo || mod_common.loadSysinfo;
 
+    /*
+     * Changes to the CN's links are made through the host network backend
+     * (see lib/host-net.js), which uses dladm(1M) unless we're given another.
+     */
+    this.hostNet = opts.hostNet || new mod_hostnet.DladmBackend({
+        log: this.log
+    });
+
+    /*
+     * How often to reload sysinfo, in milliseconds. Setting this to 0 turns
+     * off the periodic reloads.
+     */
+    this.refreshInterval = typeof (opts.refreshInterval) === 'number'
+        ? opts.refreshInterval : DEFAULT_REFRESH_INTERVAL;
+
+    this.retryPolicy = opts.app.retryPolicy;
+
+    /*
+     * If we've been given a command to watch for link events with, then we
+     * also reload sysinfo whenever it reports one.
+     */
+    this.events = null;
+    if (opts.watchCommand !== undefined) {
+        this.events = new SysinfoEventFSM({
+            app: opts.app,
+            argv: opts.watchCommand
+        });
+    }
+
     mod_common.CommonFSM.call(this);
 }
 mod_util.inherits(ServerFSM, mod_common.CommonFSM);
@@ -55,46 +242,111 @@ ServerFSM.prototype.state_init = function (S) {
 };
 
 ServerFSM.prototype.state_waiting = function (S) {
-    S.validTransitions([ 'refresh' ]);
+    var self = this;
 
-    S.gotoStateOn(this, 'refreshAsserted', 'refresh');
+    S.validTransitions([ 'refresh', 'stopped' ]);
+
+    self.resetRetries();
+
+    S.gotoStateOn(self, 'refreshAsserted', 'refresh');
+    S.gotoStateOn(self, 'stopAsserted', 'stopped');
+
+    if (self.refreshInterval > 0) {
+        S.gotoStateTimeout(self.refreshInterval, 'refresh');
+    }
+
+    if (self.events !== null) {
+        S.on(self.events, 'changed', function () {
+            self.emitDelayed('refreshAsserted', EVENT_REFRESH_DELAY);
+        });
+    }
 };
 
 ServerFSM.prototype.state_refresh = function (S) {
     var self = this;
 
-    S.validTransitions([ 'refresh', 'waiting' ]);
+    S.validTransitions([ 'refresh', 'stopped', 'waiting' ]);
+
+    S.gotoStateOn(self, 'stopAsserted', 'stopped');
+
+    /*
+     * If something changes while we're loading sysinfo, then what we get
+     * back may already be out of date, so we go again afterwards.
+     */
+    function reschedule() {
+        self.emitDelayed('refreshAsserted', EVENT_REFRESH_DELAY);
+    }
+
+    S.on(self, 'refreshAsserted', reschedule);
+
+    if (self.events !== null) {
+        S.on(self.events, 'changed', reschedule);
+    }
 
     function retry(err) {
-        self.log.error(err, 'failed to fetch new sysinfo');
-        S.gotoStateTimeout(5000, 'refresh');
+        self.log.error(err, 'failed to fetch new server information');
+        self.setReason(err);
+        S.gotoStateTimeout(self.retryDelay(), 'refresh');
     }
 
-    self.loadSysinfo(function _onSysinfo(err, sysinfo) {
+    function afterLinks(sysinfo, err, links) {
+        /*
+         * The MTU and speed of links are nice to have, but we can still
+         * track everything else in sysinfo without them, so a failure here
+         * doesn't hold up the rest of the refresh.
+         */
         if (err) {
-            retry(err);
-            return;
+            self.log.warn(err, 'Failed to fetch link information; ' +
+                'leaving out MTUs and link speeds');
+            links = null;
         }
 
-        self._update(sysinfo);
+        self._update(sysinfo, links);
+        self.loaded = true;
 
         self.log.info('Refreshed server information');
 
         S.gotoState('waiting');
-    });
+    }
+
+    self.loadSysinfo(S.callback(function _onSysinfo(err, sysinfo) {
+        if (err) {
+            retry(err);
+            return;
+        }
+
+        /*
+         * sysinfo doesn't include the MTU and speed of links, so we fetch
+         * those separately.
+         */
+        self.hostNet.getLinks(S.callback(afterLinks.bind(null, sysinfo)));
+    }));
+};
+
+ServerFSM.prototype.state_stopped = function (S) {
+    S.validTransitions([ ]);
+
+    if (this.events !== null) {
+        this.events.stop();
+    }
 };
 
-ServerFSM.prototype._update = function (sysinfo) {
+ServerFSM.prototype._update = function (sysinfo, links) {
     var self = this;
     var prev = self.nics;
 
     self.nics = {};
     self.nictags = {};
+    self.links = {};
 
     var pnics = sysinfo['Network Interfaces'];
     var vnics = sysinfo['Virtual Network Interfaces'];
     var aggrs = sysinfo['Link Aggregations'];
 
+    function linkInfo(name) {
+        return (links === null ? undefined : links[name]);
+    }
+
     function watchNic(mac, nic) {
         var nfsm;
 
@@ -112,23 +364,41 @@ ServerFSM.prototype._update = function (sysinfo) {
     }
 
     mod_jsprim.forEachKey(pnics, function (name, pnic) {
+        /*
+         * Aggregations provide NIC tags for VNICs (like the underlay VNIC)
+         * too, but are tracked by their AggrFSM rather than as a NIC.
+         */
+        pnic['NIC Names'].forEach(function (tag) {
+            self.nictags[tag] = name;
+        });
+
         if (mod_jsprim.hasKey(aggrs, name)) {
             return;
         }
 
         var mac = pnic['MAC Address'];
 
-        pnic['NIC Names'].forEach(function (tag) {
-            self.nictags[tag] = name;
-        });
+        self.links[mac] = {
+            name: name,
+            kind: 'pnic'
+        };
 
-        watchNic(mac, self._fmtpnic(pnic, sysinfo));
+        watchNic(mac, self._fmtpnic(pnic, sysinfo, linkInfo(name)));
     });
 
     mod_jsprim.forEachKey(vnics, function (name, vnic) {
         var mac = vnic['MAC Address'];
+        var local = self._fmtvnic(name, vnic, linkInfo(name));
+
+        self.links[mac] = {
+            name: name,
+            kind: 'vnic',
+            host: vnic['Host Interface'],
+            vlan_id: local.vlan_id,
+            mtu: local.mtu
+        };
 
-        watchNic(mac, self._fmtvnic(name, vnic));
+        watchNic(mac, local);
     });
 
     mod_jsprim.forEachKey(aggrs, function (name, aggr) {
@@ -144,13 +414,60 @@ ServerFSM.prototype._update = function (sysinfo) {
 
         nfsm.releaseFrom(self.uuid);
     });
+
+    /*
+     * Overlay devices are only listed in the link information, so if we
+     * couldn't fetch it, we keep the ones that we already know about.
+     */
+    if (links !== null) {
+        self._updateOverlays(links);
+    }
+};
+
+/**
+ * Find the overlay devices that have been created on the CN for the fabric
+ * networks of its VMs. These are named after the overlay NIC tag and their
+ * virtual network ID (e.g., "sdc_overlay4151538"), which is what the NIC tags
+ * of fabric NICs refer to (e.g., "sdc_overlay/4151538").
+ */
+ServerFSM.prototype._updateOverlays = function (links) {
+    var self = this;
+    var prev = self.overlays;
+    var prefix = self.app.overlayTag;
+
+    self.overlays = {};
+
+    mod_jsprim.forEachKey(links, function (name, link) {
+        if (link.class !== 'overlay' || name.indexOf(prefix) !== 0) {
+            return;
+        }
+
+        var vnet_id = name.substr(prefix.length);
+        if (!/^[0-9]+$/.test(vnet_id)) {
+            return;
+        }
+
+        if (!mod_jsprim.hasKey(prev, vnet_id)) {
+            self.log.info('Overlay %s for virtual network %s added to CN %s',
+                name, vnet_id, self.uuid);
+        }
+
+        self.overlays[vnet_id] = name;
+    });
+
+    mod_jsprim.forEachKey(prev, function (vnet_id, name) {
+        if (!mod_jsprim.hasKey(self.overlays, vnet_id)) {
+            self.log.info('Overlay %s for virtual network %s removed from ' +
+                'CN %s', name, vnet_id, self.uuid);
+        }
+    });
 };
 
 ServerFSM.prototype._fmtstate = function (state) {
     return (state === 'up' ? 'running' : 'stopped');
 };
 
-ServerFSM.prototype._fmtpnic = function (nic, sysinfo) {
+ServerFSM.prototype._fmtpnic = function (nic, sysinfo, link) {
     var admin_tag = sysinfo['Admin NIC Tag'] || 'admin';
     var o = {
         belongs_to_uuid: this.uuid,
@@ -164,6 +481,16 @@ ServerFSM.prototype._fmtpnic = function (nic, sysinfo) {
         o.ip = nic.ip4addr;
     }
 
+    if (link !== undefined) {
+        if (link.mtu !== undefined) {
+            o.mtu = link.mtu;
+        }
+
+        if (link.speed !== undefined) {
+            o.link_speed = link.speed;
+        }
+    }
+
     /* If this is an admin NIC, try to set "nic_tag" */
     if (nic['NIC Names'].indexOf(admin_tag) !== -1) {
         o.nic_tag = admin_tag;
@@ -191,7 +518,7 @@ ServerFSM.prototype._findtag = function (name, host) {
     return m[1];
 };
 
-ServerFSM.prototype._fmtvnic = function (name, nic) {
+ServerFSM.prototype._fmtvnic = function (name, nic, link) {
     var o = {
         belongs_to_uuid: this.uuid,
         belongs_to_type: 'server',
@@ -203,6 +530,10 @@ ServerFSM.prototype._fmtvnic = function (name, nic) {
         o.ip = nic.ip4addr;
     }
 
+    if (link !== undefined && link.mtu !== undefined) {
+        o.mtu = link.mtu;
+    }
+
     if (mod_jsprim.hasKey(nic, 'VLAN')) {
         o.vlan_id = Number(nic['VLAN']);
     } else {
@@ -212,6 +543,14 @@ ServerFSM.prototype._fmtvnic = function (name, nic) {
     /* Extract the nic_tag for VNICs */
     o.nic_tag = this._findtag(name, nic['Host Interface']);
 
+    /*
+     * The underlay VNIC is how the CN's overlay devices (and so the fabric
+     * NICs of its VMs) reach other CNs, and NAPI needs to know which it is.
+     */
+    if (o.nic_tag !== undefined && o.nic_tag === this.app.underlayTag) {
+        o.underlay = true;
+    }
+
     return o;
 };
 
@@ -240,6 +579,67 @@ ServerFSM.prototype.refresh = function () {
     this.emit('refreshAsserted');
 };
 
+ServerFSM.prototype.stop = function () {
+    this.emit('stopAsserted');
+};
+
+ServerFSM.prototype.dump = function () {
+    var obj = mod_common.CommonFSM.prototype.dump.call(this);
+
+    obj.uuid = this.uuid;
+    obj.nics = Object.keys(this.nics);
+    obj.aggrs = Object.keys(this.aggrs);
+    obj.nictags = this.nictags;
+    obj.overlays = this.overlays;
+    obj.refresh_interval = this.refreshInterval;
+
+    if (this.events !== null) {
+        obj.events = this.events.dump();
+    }
+
+    return obj;
+};
+
+/*
+ * Run a series of changes to the CN's links, and then reload sysinfo so that
+ * the NicFSMs and AggrFSMs see the results. Each change is the name of a host
+ * network backend method ("op"), and the arguments to call it with ("args").
+ *
+ * All changes to the CN go through here, so this is where we make sure that
+ * nothing gets changed in dry-run mode.
+ */
+ServerFSM.prototype._apply = function (changes, callback) {
+    var self = this;
+
+    if (self.app.dryRun) {
+        changes.forEach(function (change) {
+            self.log.info({ op: change.op, args: change.args },
+                'Dry run: not changing links on CN');
+        });
+        setImmediate(callback);
+        return;
+    }
+
+    mod_vasync.forEachPipeline({
+        inputs: changes,
+        func: function (change, cb) {
+            self.hostNet[change.op].apply(self.hostNet,
+                change.args.concat([ cb ]));
+        }
+    }, function (err) {
+        if (changes.length > 0) {
+            self.refresh();
+        }
+
+        callback(err);
+    });
+};
+
+/*
+ * We don't create or delete the CN's VNICs, or change its aggregations, to
+ * match NAPI: those come from the CN's boot-time networking configuration,
+ * and the AggrFSMs report differences from NAPI as drift instead.
+ */
 ServerFSM.prototype.addNIC = function (mac, payload, callback) {
     this.log.warn({ mac: mac, payload: payload },
         'Server NIC adds are currently unsupported');
@@ -247,11 +647,63 @@ ServerFSM.prototype.addNIC = function (mac, payload, callback) {
     setImmediate(callback);
 };
 
-ServerFSM.prototype.updateNIC = function (mac, payload, callback) {
-    this.log.warn({ mac: mac, payload: payload },
-        'Server NIC updates are currently unsupported');
+/**
+ * Apply changes to one of the CN's NICs. We can move VNICs to other NIC tags
+ * and VLANs, and change their MTU. The rest of the properties in the update
+ * (like addresses or anti-spoofing settings) don't apply to links in the
+ * global zone, and are ignored. Physical NICs get their configuration (like
+ * their MTU, which comes from all of the NIC tags that they provide) when the
+ * CN boots, so we leave them alone.
+ */
+ServerFSM.prototype.updateNIC = function (mac, update, callback) {
+    var self = this;
+    var link = self.links[mac];
 
-    setImmediate(callback);
+    if (link === undefined) {
+        setImmediate(callback, new VError('NIC %s not found on CN %s',
+            mac, self.uuid));
+        return;
+    }
+
+    if (link.kind !== 'vnic') {
+        self.log.debug({ payload: update },
+            'Not applying update to physical NIC %s (%s)', mac, link.name);
+        setImmediate(callback);
+        return;
+    }
+
+    var changes = [];
+    var modify = { name: link.name };
+
+    if (mod_jsprim.hasKey(update, 'nic_tag') &&
+        self.nictags[update.nic_tag] !== link.host) {
+        modify.link = self.nictags[update.nic_tag];
+
+        if (modify.link === undefined) {
+            setImmediate(callback, new VError(
+                'no link on CN %s provides NIC tag %j',
+                self.uuid, update.nic_tag));
+            return;
+        }
+    }
+
+    if (typeof (update.vlan_id) === 'number' &&
+        update.vlan_id !== link.vlan_id) {
+        modify.vlan_id = update.vlan_id;
+    }
+
+    if (modify.link !== undefined || modify.vlan_id !== undefined) {
+        changes.push({ op: 'modifyVNIC', args: [ modify ] });
+    }
+
+    if (typeof (update.mtu) === 'number' && update.mtu !== link.mtu) {
+        changes.push({ op: 'setMTU', args: [ link.name, update.mtu ] });
+    }
+
+    self.log.info({ payload: update, changes: changes.length },
+        'Updating VNIC %s (%s)', link.name, mac);
+
+    self._apply(changes, callback);
 };
 
 ServerFSM.prototype.removeNIC = function (mac, payload, callback) {
@@ -268,4 +720,5 @@ ServerFSM.prototype.updateAggr = function (name, payload, callback) {
     setImmediate(callback);
 };
 
+
 module.exports = ServerFSM;
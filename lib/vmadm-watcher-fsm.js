@@ -25,6 +25,8 @@ var mod_util = require('util');
 var UPDATE_DELAY = 5 * 1000;
 
 var WATCHED_FIELDS = [
+    'boot_timestamp',
+    'internal_metadata',
     'resolvers',
     'nics',
     'owner_uuid',
@@ -46,6 +48,8 @@ function VmadmEventsFSM(opts) {
     assert.object(opts.log, 'opts.log');
     assert.ok(['object', 'function']
         .indexOf(typeof (opts.vmadm)) !== -1, 'opts.vmadm');
+    assert.optionalObject(opts.retryPolicy, 'opts.retryPolicy');
+    assert.optionalObject(opts.capture, 'opts.capture');
 
     self.log = opts.log.child({
         component: 'vmadm-events'
@@ -54,6 +58,8 @@ function VmadmEventsFSM(opts) {
     self.emitter = null;
     self.stopWatcher = null;
     self.vmadm = opts.vmadm;
+    self.retryPolicy = opts.retryPolicy;
+    self.capture = opts.capture || null;
 
     mod_common.CommonFSM.call(self);
 }
@@ -94,8 +100,8 @@ VmadmEventsFSM.prototype.state_setup = function (S) {
         if (err) {
             self.log.error(err, 'vmadm events failed to ready');
 
-            // Try again in a second.
-            S.gotoStateTimeout(1000, 'setup');
+            self.setReason(err);
+            S.gotoStateTimeout(self.retryDelay(), 'setup');
             return;
         }
 
@@ -107,6 +113,10 @@ VmadmEventsFSM.prototype.state_setup = function (S) {
         self.vms = obj.ev.vms;
         self.stopWatcher = obj.stop;
 
+        if (self.capture !== null) {
+            self.capture.record('vmadm-ready', self.vms);
+        }
+
         self.emitDelayed('vms-update', UPDATE_DELAY);
 
         S.gotoState('running');
@@ -117,19 +127,23 @@ VmadmEventsFSM.prototype.state_setup = function (S) {
     S.on(self.emitter, 'error', function (err) {
         self.log.error(err, 'vmadm events error');
         self.emitter = null;
-        S.gotoStateTimeout(1000, 'setup');
+        self.setReason(err);
+        S.gotoStateTimeout(self.retryDelay(), 'setup');
     });
 };
 
 VmadmEventsFSM.prototype.state_running = function (S) {
     var self = this;
 
+    self.resetRetries();
+
     S.on(self.emitter, 'error', function (err) {
         self.log.error(err, 'vmadm events error');
         self.stopWatcher();
         self.stopWatcher = null;
         self.emitter = null;
-        S.gotoStateTimeout(1000, 'setup');
+        self.setReason(err);
+        S.gotoStateTimeout(self.retryDelay(), 'setup');
     });
 
     S.gotoStateOn(self, 'stopAsserted', 'stopped');
@@ -138,6 +152,12 @@ VmadmEventsFSM.prototype.state_running = function (S) {
 
 VmadmEventsFSM.prototype.state_stopped = function (S) {
     S.validTransitions([]);
+
+    if (this.stopWatcher) {
+        this.stopWatcher();
+        this.stopWatcher = null;
+        this.emitter = null;
+    }
 };
 
 VmadmEventsFSM.prototype.start = function () {
@@ -167,6 +187,10 @@ VmadmEventsFSM.prototype.handleEvent = function (ev) {
 
     self.log.trace({ev: ev}, 'saw event from "vmadm events"');
 
+    if (self.capture !== null) {
+        self.capture.record('vmadm', ev);
+    }
+
     // Ignore (but remember) do_not_inventory instances.
     if (ev.vm && ev.vm.do_not_inventory) {
         if (self.vms.hasOwnProperty(ev.zonename) &&
@@ -267,9 +291,13 @@ function VmadmWatcherFSM(opts) {
     }, true);
     self.vmadm = opts.vmadm;
 
+    self.retryPolicy = opts.app.retryPolicy;
+
     self.vmadmevents = new VmadmEventsFSM({
         log: self.log,
-        vmadm: self.vmadm
+        vmadm: self.vmadm,
+        retryPolicy: self.retryPolicy,
+        capture: opts.app.capture
     });
 
     mod_common.CommonFSM.call(self);
@@ -291,9 +319,17 @@ VmadmWatcherFSM.prototype.state_running = function (S) {
 
     S.on(self, 'refreshAsserted', updateVMs);
 
+    S.gotoStateOn(self, 'stopAsserted', 'stopped');
+
     self.vmadmevents.start();
 };
 
+VmadmWatcherFSM.prototype.state_stopped = function (S) {
+    S.validTransitions([]);
+
+    this.vmadmevents.stop();
+};
+
 VmadmWatcherFSM.prototype.start = function () {
     var self = this;
 
@@ -30,7 +30,8 @@ var FIELDS = [
     'resolvers',
     'routes',
     'do_not_inventory',
-    'internal_metadata'
+    'internal_metadata',
+    'boot_timestamp'
 ];
 
 var STATE_WATCHER_TIMEOUT = 5 * 60 * 1000;
@@ -188,6 +189,8 @@ function WatcherFSM(opts) {
      */
     this.cfgwatcher = mod_fs.watch('/etc/zones', this.refresh.bind(this));
 
+    this.retryPolicy = opts.app.retryPolicy;
+
     mod_common.CommonFSM.call(this);
 }
 mod_util.inherits(WatcherFSM, mod_common.CommonFSM);
@@ -199,6 +202,8 @@ WatcherFSM.prototype.state_init = function (S) {
 WatcherFSM.prototype.state_waiting = function (S) {
     var self = this;
 
+    self.resetRetries();
+
     S.gotoStateOn(self, 'refreshAsserted', 'refresh');
 
     function scheduleRefresh() {
@@ -235,8 +240,12 @@ WatcherFSM.prototype.state_refresh = function (S) {
 
     function afterLookup(err, vms) {
         if (err) {
-            self.log.error(err, 'failed to refresh VM information; retrying');
-            S.gotoState('refresh');
+            var delay = self.retryDelay();
+
+            self.log.error(err, 'failed to refresh VM information; ' +
+                'retrying in %d ms', delay);
+            self.setReason(err);
+            S.gotoStateTimeout(delay, 'refresh');
             return;
         }
 
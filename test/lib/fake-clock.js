@@ -0,0 +1,238 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * A controllable clock for tests. While installed, it replaces the global
+ * timer functions, Date.now() and process.hrtime(), so that the retries,
+ * refreshes and delayed events of the FSMs (all of which use setTimeout(),
+ * either directly or through mooremachine) only fire when the test moves
+ * the clock forward.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+
+// --- Globals
+
+var NS_PER_MS = 1000000;
+var NS_PER_SEC = 1000000000;
+
+
+// --- Internal helpers
+
+/*
+ * Stand-ins for Node's Timeout objects, which callers sometimes unref().
+ */
+function FakeTimer(clock, id, delay, func, args, interval) {
+    this.clock = clock;
+    this.id = id;
+    this.delay = delay;
+    this.when = clock.now + delay;
+    this.func = func;
+    this.args = args;
+    this.interval = interval;
+}
+
+FakeTimer.prototype.ref = function () {
+    return this;
+};
+
+FakeTimer.prototype.unref = function () {
+    return this;
+};
+
+FakeTimer.prototype.hasRef = function () {
+    return true;
+};
+
+FakeTimer.prototype.refresh = function () {
+    this.clock._remove(this);
+    this.when = this.clock.now + this.delay;
+    this.clock.timers.push(this);
+    return this;
+};
+
+
+// --- Exports
+
+function FakeClock() {
+    /*
+     * Milliseconds since the clock was created.
+     */
+    this.now = 0;
+
+    this.timers = [];
+    this.nextId = 1;
+
+    /*
+     * The real functions, while the clock is installed.
+     */
+    this.real = null;
+    this.epoch = Date.now();
+}
+
+FakeClock.prototype.install = function () {
+    assert.ok(this.real === null, 'clock already installed');
+
+    var self = this;
+
+    self.real = {
+        setTimeout: global.setTimeout,
+        clearTimeout: global.clearTimeout,
+        setInterval: global.setInterval,
+        clearInterval: global.clearInterval,
+        dateNow: Date.now,
+        hrtime: process.hrtime
+    };
+
+    global.setTimeout = function (func, delay) {
+        return self._add(func, delay, Array.prototype.slice.call(arguments, 2),
+            null);
+    };
+
+    global.setInterval = function (func, delay) {
+        return self._add(func, delay, Array.prototype.slice.call(arguments, 2),
+            Math.max(1, delay || 0));
+    };
+
+    global.clearTimeout = global.clearInterval = function (timer) {
+        self._remove(timer);
+    };
+
+    Date.now = function () {
+        return self.epoch + self.now;
+    };
+
+    process.hrtime = function (prev) {
+        var ns = Math.round(self.now * NS_PER_MS);
+        var time = [ Math.floor(ns / NS_PER_SEC), ns % NS_PER_SEC ];
+
+        if (prev === undefined) {
+            return time;
+        }
+
+        var diff = (time[0] - prev[0]) * NS_PER_SEC + (time[1] - prev[1]);
+        return [ Math.floor(diff / NS_PER_SEC), diff % NS_PER_SEC ];
+    };
+    process.hrtime.bigint = self.real.hrtime.bigint;
+};
+
+FakeClock.prototype.uninstall = function () {
+    assert.ok(this.real !== null, 'clock not installed');
+
+    global.setTimeout = this.real.setTimeout;
+    global.clearTimeout = this.real.clearTimeout;
+    global.setInterval = this.real.setInterval;
+    global.clearInterval = this.real.clearInterval;
+    Date.now = this.real.dateNow;
+    process.hrtime = this.real.hrtime;
+
+    this.real = null;
+};
+
+FakeClock.prototype._add = function (func, delay, args, interval) {
+    assert.func(func, 'func');
+
+    /*
+     * Unlike Node, which treats them as 1ms, zero (and invalid) delays fire
+     * without the clock moving.
+     */
+    if (typeof (delay) !== 'number' || !(delay > 0)) {
+        delay = 0;
+    }
+
+    var timer = new FakeTimer(this, this.nextId++, delay, func, args,
+        interval);
+
+    this.timers.push(timer);
+
+    return timer;
+};
+
+FakeClock.prototype._remove = function (timer) {
+    var idx = this.timers.indexOf(timer);
+
+    if (idx !== -1) {
+        this.timers.splice(idx, 1);
+    }
+};
+
+/**
+ * Return when the next timer is due, or null if there are none.
+ */
+FakeClock.prototype.nextTime = function () {
+    var next = null;
+
+    this.timers.forEach(function (timer) {
+        if (next === null || timer.when < next) {
+            next = timer.when;
+        }
+    });
+
+    return next;
+};
+
+/**
+ * Fire the next timer that's due at or before "limit" (Infinity by default),
+ * moving the clock forward to its time. Returns false if there was none.
+ */
+FakeClock.prototype.runNext = function (limit) {
+    if (limit === undefined) {
+        limit = Infinity;
+    }
+
+    var timer = null;
+
+    this.timers.forEach(function (cand) {
+        if (cand.when <= limit && (timer === null || cand.when < timer.when ||
+            (cand.when === timer.when && cand.id < timer.id))) {
+            timer = cand;
+        }
+    });
+
+    if (timer === null) {
+        return false;
+    }
+
+    this.now = Math.max(this.now, timer.when);
+
+    if (timer.interval === null) {
+        this._remove(timer);
+    } else {
+        timer.when = this.now + timer.interval;
+    }
+
+    timer.func.apply(null, timer.args);
+
+    return true;
+};
+
+/**
+ * Move the clock forward by "ms" milliseconds, firing every timer that comes
+ * due on the way (including any that they set up themselves).
+ */
+FakeClock.prototype.tick = function (ms) {
+    assert.number(ms, 'ms');
+    assert.ok(ms >= 0, 'ms >= 0');
+
+    var target = this.now + ms;
+    var fired;
+
+    do {
+        fired = this.runNext(target);
+    } while (fired);
+
+    this.now = target;
+};
+
+module.exports = {
+    FakeClock: FakeClock
+};
@@ -0,0 +1,61 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * A fake host network backend (see lib/host-net.js), which records the changes
+ * that it's asked to make instead of making them.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+
+// --- Exports
+
+function FakeBackend() {
+    /*
+     * The changes made so far, as [ method, arguments ] pairs.
+     */
+    this.ops = [];
+
+    /*
+     * The links returned by getLinks().
+     */
+    this.links = {};
+
+    /*
+     * If set, every call fails with this error.
+     */
+    this.error = null;
+}
+
+FakeBackend.prototype._record = function record(op, args, callback) {
+    assert.func(callback, 'callback');
+
+    this.ops.push([ op, args ]);
+
+    setImmediate(callback, this.error);
+};
+
+FakeBackend.prototype.getLinks = function getLinks(callback) {
+    setImmediate(callback, this.error, this.links);
+};
+
+FakeBackend.prototype.setMTU = function setMTU(name, mtu, callback) {
+    this._record('setMTU', { name: name, mtu: mtu }, callback);
+};
+
+FakeBackend.prototype.modifyVNIC = function modifyVNIC(opts, callback) {
+    this._record('modifyVNIC', opts, callback);
+};
+
+module.exports = {
+    FakeBackend: FakeBackend
+};
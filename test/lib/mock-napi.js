@@ -0,0 +1,671 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * An in-process fake NAPI, so that net-agent's FSMs can be exercised against
+ * a real NAPI client without a Triton headnode.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var log = require('./log');
+var mod_clients = require('sdc-clients');
+var mod_common = require('../../lib/common');
+var mod_jsprim = require('jsprim');
+var mod_restify = require('restify');
+var mod_stream = require('stream');
+var mod_util = require('util');
+
+// --- Globals
+
+/*
+ * The properties that NAPI includes in NICs from their network.
+ */
+var NETWORK_NIC_FIELDS = [
+    'gateway',
+    'mtu',
+    'netmask',
+    'nic_tag',
+    'resolvers',
+    'routes',
+    'vlan_id'
+];
+
+/*
+ * Parameters that affect how NAPI handles a request, rather than being
+ * properties of the object.
+ */
+var CONTROL_PARAMS = [
+    'check_owner'
+];
+
+var MAC_RE = /^[0-9a-f]{12}$/;
+
+
+// --- Internal helpers
+
+/*
+ * The NAPI client strips the colons out of MAC addresses in URLs.
+ */
+function macFromParam(param) {
+    var mac = param.toLowerCase();
+
+    if (!MAC_RE.test(mac)) {
+        return mac;
+    }
+
+    return mac.match(/../g).join(':');
+}
+
+function stripControlParams(params) {
+    var obj = mod_jsprim.deepCopy(params);
+
+    CONTROL_PARAMS.forEach(function (param) {
+        delete obj[param];
+    });
+
+    return obj;
+}
+
+/*
+ * Return the prefix length of an IPv4 netmask (e.g., 24 for "255.255.255.0").
+ */
+function netmaskToPrefix(netmask) {
+    return netmask.split('.').reduce(function (bits, octet) {
+        return bits + Number(octet).toString(2).replace(/0/g, '').length;
+    }, 0);
+}
+
+/*
+ * Find which properties differ between two versions of an object.
+ */
+function changedFields(cur, old) {
+    var keys = Object.keys(cur).concat(Object.keys(old));
+
+    return keys.filter(function (key, i) {
+        return (keys.indexOf(key) === i &&
+            !mod_jsprim.deepEqual(cur[key], old[key]));
+    }).sort();
+}
+
+/*
+ * A fake changefeed listener (see the "changefeed" module), which emits the
+ * changes made to the MockNAPI's objects.
+ */
+function MockFeed() {
+    mod_stream.Readable.call(this, { objectMode: true });
+
+    this.ended = false;
+}
+mod_util.inherits(MockFeed, mod_stream.Readable);
+
+MockFeed.prototype._read = function () {
+};
+
+/**
+ * Like a real listener, ask the FSMs to refetch everything once we've
+ * "connected".
+ */
+MockFeed.prototype.register = function () {
+    var self = this;
+
+    setImmediate(function () {
+        [ 'aggregation', 'network', 'nic' ].forEach(self.bootstrap, self);
+    });
+};
+
+MockFeed.prototype.publish = function (change) {
+    if (this.ended) {
+        return;
+    }
+
+    this.push(change);
+};
+
+/**
+ * Tell the listener to refetch all objects of a type, like a changefeed
+ * publisher does when a listener first connects (or reconnects).
+ */
+MockFeed.prototype.bootstrap = function (resource) {
+    this.emit('bootstrap', { resource: resource });
+};
+
+MockFeed.prototype.close = function () {
+    this.ended = true;
+    this.push(null);
+};
+
+
+// --- Exports
+
+/**
+ * The MockNAPI serves the NIC, network and aggregation endpoints that
+ * net-agent uses. Like NAPI, it returns an "Etag" header for each object,
+ * honours "If-Match" and "If-None-Match" headers, and includes their network's
+ * properties in NICs. Changes are published to "feed".
+ *
+ * NICs on dual-stack networks (those with a "subnet6") are given their IPv6
+ * address in "ip6", which the MockNAPI combines with their IPv4 address and
+ * their network's gateways into "ips" and "gateways".
+ *
+ * Tests can set up and change objects behind the FSMs' backs with the put*()
+ * and remove*() methods, and make requests fail with fail().
+ */
+function MockNAPI() {
+    var self = this;
+
+    self.nics = {};
+    self.networks = {};
+    self.aggrs = {};
+
+    /*
+     * The current etag of each object, keyed by its path.
+     */
+    self.etags = {};
+    self.version = 0;
+
+    /*
+     * The requests made so far, as "METHOD /path" strings.
+     */
+    self.requests = [];
+
+    /*
+     * If set, a function that gets called with each request (as a "METHOD
+     * /path" string) and its body before it's handled, so that tests can
+     * record payloads, or change things while a request is in flight.
+     */
+    self.onRequest = null;
+
+    self.faults = [];
+    self.feed = new MockFeed();
+
+    /*
+     * Whether changes get published to "feed". This can be turned off when
+     * the test publishes changes itself (like when replaying a capture).
+     */
+    self.publishChanges = true;
+
+    /*
+     * Whether responses include an "Etag" header. This can be turned off to
+     * act like the NAPI versions from before Etags were added.
+     */
+    self.sendEtags = true;
+
+    self.url = null;
+
+    self.server = mod_restify.createServer({
+        name: 'mock-napi',
+        log: log
+    });
+
+    self.server.use(mod_restify.queryParser({ mapParams: false }));
+    self.server.use(mod_restify.bodyParser({ mapParams: false }));
+    self.server.use(function checkFaults(req, res, next) {
+        self._checkFaults(req, next);
+    });
+
+    self.server.get('/ping', function ping(req, res, next) {
+        res.send(200, { mode: 'ok', status: 'OK' });
+        next();
+    });
+
+    self.server.get('/nics', self._listNics.bind(self));
+    self.server.post('/nics', self._createNic.bind(self));
+    self.server.get('/nics/:mac', self._getNic.bind(self));
+    self.server.put('/nics/:mac', self._updateNic.bind(self));
+    self.server.del('/nics/:mac', self._deleteNic.bind(self));
+
+    self.server.get('/networks/:uuid', self._getNetwork.bind(self));
+
+    self.server.post('/aggregations', self._createAggr.bind(self));
+    self.server.get('/aggregations/:id', self._getAggr.bind(self));
+    self.server.put('/aggregations/:id', self._updateAggr.bind(self));
+    self.server.del('/aggregations/:id', self._deleteAggr.bind(self));
+}
+
+MockNAPI.prototype.start = function (callback) {
+    var self = this;
+
+    self.server.listen(0, '127.0.0.1', function () {
+        self.url = self.server.url;
+        callback();
+    });
+};
+
+MockNAPI.prototype.stop = function (callback) {
+    this.feed.close();
+    this.server.close(callback);
+};
+
+/**
+ * Create a NAPI client for talking to this server.
+ */
+MockNAPI.prototype.createClient = function () {
+    assert.string(this.url, 'MockNAPI has not been started');
+
+    return new mod_clients.NAPI({
+        url: this.url,
+        log: log,
+        agent: false,
+        retry: false
+    });
+};
+
+/**
+ * Make the next "count" (1 by default) requests whose method is "method"
+ * (e.g., "PUT", or any method if not given) and whose path matches "path"
+ * fail with status code "statusCode".
+ */
+MockNAPI.prototype.fail = function (opts) {
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.method, 'opts.method');
+    assert.object(opts.path, 'opts.path');
+    assert.number(opts.statusCode, 'opts.statusCode');
+    assert.optionalNumber(opts.count, 'opts.count');
+
+    this.faults.push({
+        method: opts.method,
+        path: opts.path,
+        statusCode: opts.statusCode,
+        count: opts.count || 1
+    });
+};
+
+MockNAPI.prototype._checkFaults = function (req, next) {
+    var path = req.path();
+    var request = req.method + ' ' + path;
+
+    this.requests.push(request);
+
+    if (this.onRequest !== null) {
+        this.onRequest(request, req.body);
+    }
+
+    for (var i = 0; i < this.faults.length; i++) {
+        var fault = this.faults[i];
+
+        if ((fault.method !== undefined && fault.method !== req.method) ||
+            !fault.path.test(path)) {
+            continue;
+        }
+
+        fault.count -= 1;
+        if (fault.count === 0) {
+            this.faults.splice(i, 1);
+        }
+
+        next(new mod_restify.HttpError({ statusCode: fault.statusCode },
+            'injected failure for %s %s', req.method, path));
+        return;
+    }
+
+    next();
+};
+
+/*
+ * Store a new version of an object (or remove it, if "obj" is null), and
+ * publish the change.
+ */
+MockNAPI.prototype._store = function (type, id, obj, change) {
+    var table = this[type];
+    var old = mod_jsprim.hasKey(table, id) ? table[id] : null;
+    var key = type + '/' + id;
+    var subResources;
+
+    if (obj === null) {
+        delete table[id];
+        delete this.etags[key];
+        subResources = [ 'delete' ];
+    } else {
+        this.version += 1;
+        table[id] = obj;
+        this.etags[key] = String(this.version);
+        subResources = old === null ? [ 'create' ] : changedFields(obj, old);
+    }
+
+    if (subResources.length === 0 || !this.publishChanges) {
+        return;
+    }
+
+    this.feed.publish(Object.assign({
+        changeKind: {
+            resource: type === 'aggrs' ? 'aggregation' : type.slice(0, -1),
+            subResources: subResources
+        },
+        changedResourceId: id
+    }, change));
+};
+
+/*
+ * Check the request's "If-Match" header against the object's current etag.
+ */
+MockNAPI.prototype._checkMatch = function (req, key) {
+    var etag = req.header('If-Match');
+
+    if (etag !== undefined && etag !== this.etags[key]) {
+        return new mod_restify.PreconditionFailedError(
+            'if-match \'%s\' didn\'t match etag \'%s\'', etag, this.etags[key]);
+    }
+
+    return null;
+};
+
+/*
+ * Send an object, or a 304 if the client already has the current version.
+ */
+MockNAPI.prototype._sendObj = function (req, res, key, obj, code) {
+    var etag = this.etags[key];
+
+    if (this.sendEtags) {
+        res.header('Etag', etag);
+
+        if (req.method === 'GET' && req.header('If-None-Match') === etag) {
+            res.send(304);
+            return;
+        }
+    }
+
+    res.send(code || 200, obj);
+};
+
+MockNAPI.prototype._serializeNic = function (nic) {
+    var obj = mod_jsprim.deepCopy(nic);
+
+    if (typeof (nic.network_uuid) === 'string' &&
+        mod_jsprim.hasKey(this.networks, nic.network_uuid)) {
+        var net = this.networks[nic.network_uuid];
+
+        NETWORK_NIC_FIELDS.forEach(function (field) {
+            if (mod_jsprim.hasKey(net, field)) {
+                obj[field] = mod_jsprim.deepCopy(net[field]);
+            }
+        });
+
+        if (typeof (net.subnet6) === 'string' &&
+            typeof (nic.ip6) === 'string') {
+            obj.ips = [
+                nic.ip + '/' + netmaskToPrefix(net.netmask),
+                nic.ip6 + '/' + net.subnet6.split('/')[1]
+            ];
+            obj.gateways = [ net.gateway, net.gateway6 ].filter(
+                function (gw) {
+                return (typeof (gw) === 'string');
+            });
+        }
+    }
+
+    delete obj.ip6;
+
+    return obj;
+};
+
+MockNAPI.prototype._nicChange = function (nic) {
+    return {
+        cn_uuid: nic.cn_uuid,
+        belongs_to_uuid: nic.belongs_to_uuid
+    };
+};
+
+MockNAPI.prototype._aggrChange = function (aggr) {
+    return {
+        name: aggr.name,
+        belongs_to_uuid: aggr.belongs_to_uuid
+    };
+};
+
+MockNAPI.prototype._listNics = function (req, res, next) {
+    var self = this;
+    var query = req.query || {};
+
+    var nics = Object.keys(self.nics).sort().map(function (mac) {
+        return self._serializeNic(self.nics[mac]);
+    }).filter(function (nic) {
+        return Object.keys(query).every(function (param) {
+            return (String(nic[param]) === String(query[param]));
+        });
+    });
+
+    res.send(200, nics);
+    next();
+};
+
+MockNAPI.prototype._createNic = function (req, res, next) {
+    var params = stripControlParams(req.body || {});
+    var mac = params.mac;
+
+    if (typeof (mac) !== 'string') {
+        next(new mod_restify.InvalidArgumentError('"mac" is required'));
+        return;
+    }
+
+    if (mod_jsprim.hasKey(this.nics, mac)) {
+        next(new mod_restify.InvalidArgumentError('NIC %s already exists',
+            mac));
+        return;
+    }
+
+    this._store('nics', mac, params, this._nicChange(params));
+    this._sendObj(req, res, 'nics/' + mac, this._serializeNic(params));
+    next();
+};
+
+MockNAPI.prototype._getNic = function (req, res, next) {
+    var mac = macFromParam(req.params.mac);
+
+    if (!mod_jsprim.hasKey(this.nics, mac)) {
+        next(new mod_restify.ResourceNotFoundError('nic not found'));
+        return;
+    }
+
+    this._sendObj(req, res, 'nics/' + mac,
+        this._serializeNic(this.nics[mac]));
+    next();
+};
+
+MockNAPI.prototype._updateNic = function (req, res, next) {
+    var mac = macFromParam(req.params.mac);
+
+    if (!mod_jsprim.hasKey(this.nics, mac)) {
+        next(new mod_restify.ResourceNotFoundError('nic not found'));
+        return;
+    }
+
+    var err = this._checkMatch(req, 'nics/' + mac);
+    if (err !== null) {
+        next(err);
+        return;
+    }
+
+    var nic = Object.assign(mod_jsprim.deepCopy(this.nics[mac]),
+        stripControlParams(req.body || {}));
+
+    this._store('nics', mac, nic, this._nicChange(nic));
+    this._sendObj(req, res, 'nics/' + mac, this._serializeNic(nic));
+    next();
+};
+
+MockNAPI.prototype._deleteNic = function (req, res, next) {
+    var mac = macFromParam(req.params.mac);
+
+    if (!mod_jsprim.hasKey(this.nics, mac)) {
+        next(new mod_restify.ResourceNotFoundError('nic not found'));
+        return;
+    }
+
+    var err = this._checkMatch(req, 'nics/' + mac);
+    if (err !== null) {
+        next(err);
+        return;
+    }
+
+    this._store('nics', mac, null, this._nicChange(this.nics[mac]));
+    res.send(204);
+    next();
+};
+
+MockNAPI.prototype._getNetwork = function (req, res, next) {
+    var uuid = req.params.uuid;
+
+    if (!mod_jsprim.hasKey(this.networks, uuid)) {
+        next(new mod_restify.ResourceNotFoundError('network not found'));
+        return;
+    }
+
+    this._sendObj(req, res, 'networks/' + uuid,
+        mod_jsprim.deepCopy(this.networks[uuid]));
+    next();
+};
+
+MockNAPI.prototype._createAggr = function (req, res, next) {
+    var params = req.body || {};
+
+    if (typeof (params.name) !== 'string' ||
+        typeof (params.belongs_to_uuid) !== 'string') {
+        next(new mod_restify.InvalidArgumentError(
+            '"name" and "belongs_to_uuid" are required'));
+        return;
+    }
+
+    var id = mod_common.formatAggrId(params.belongs_to_uuid, params.name);
+    var aggr = Object.assign({ id: id }, params);
+
+    if (mod_jsprim.hasKey(this.aggrs, id)) {
+        next(new mod_restify.InvalidArgumentError(
+            'aggregation %s already exists', id));
+        return;
+    }
+
+    this._store('aggrs', id, aggr, this._aggrChange(aggr));
+    this._sendObj(req, res, 'aggrs/' + id, mod_jsprim.deepCopy(aggr));
+    next();
+};
+
+MockNAPI.prototype._getAggr = function (req, res, next) {
+    var id = req.params.id;
+
+    if (!mod_jsprim.hasKey(this.aggrs, id)) {
+        next(new mod_restify.ResourceNotFoundError('aggregation not found'));
+        return;
+    }
+
+    this._sendObj(req, res, 'aggrs/' + id,
+        mod_jsprim.deepCopy(this.aggrs[id]));
+    next();
+};
+
+MockNAPI.prototype._updateAggr = function (req, res, next) {
+    var id = req.params.id;
+
+    if (!mod_jsprim.hasKey(this.aggrs, id)) {
+        next(new mod_restify.ResourceNotFoundError('aggregation not found'));
+        return;
+    }
+
+    var err = this._checkMatch(req, 'aggrs/' + id);
+    if (err !== null) {
+        next(err);
+        return;
+    }
+
+    var aggr = Object.assign(mod_jsprim.deepCopy(this.aggrs[id]),
+        req.body || {});
+
+    this._store('aggrs', id, aggr, this._aggrChange(aggr));
+    this._sendObj(req, res, 'aggrs/' + id, mod_jsprim.deepCopy(aggr));
+    next();
+};
+
+MockNAPI.prototype._deleteAggr = function (req, res, next) {
+    var id = req.params.id;
+
+    if (!mod_jsprim.hasKey(this.aggrs, id)) {
+        next(new mod_restify.ResourceNotFoundError('aggregation not found'));
+        return;
+    }
+
+    var err = this._checkMatch(req, 'aggrs/' + id);
+    if (err !== null) {
+        next(err);
+        return;
+    }
+
+    this._store('aggrs', id, null, this._aggrChange(this.aggrs[id]));
+    res.send(204);
+    next();
+};
+
+/**
+ * Add or replace a NIC, as if done by another NAPI consumer.
+ */
+MockNAPI.prototype.putNic = function (nic) {
+    assert.object(nic, 'nic');
+    assert.string(nic.mac, 'nic.mac');
+
+    nic = mod_jsprim.deepCopy(nic);
+
+    this._store('nics', nic.mac, nic, this._nicChange(nic));
+};
+
+MockNAPI.prototype.removeNic = function (mac) {
+    assert.string(mac, 'mac');
+
+    if (mod_jsprim.hasKey(this.nics, mac)) {
+        this._store('nics', mac, null, this._nicChange(this.nics[mac]));
+    }
+};
+
+/**
+ * Add or replace a network. This changes the etags of the NICs on it too,
+ * since their networks' properties are part of them.
+ */
+MockNAPI.prototype.putNetwork = function (net) {
+    assert.object(net, 'net');
+    assert.uuid(net.uuid, 'net.uuid');
+
+    var self = this;
+
+    self._store('networks', net.uuid, mod_jsprim.deepCopy(net), {});
+
+    mod_jsprim.forEachKey(self.nics, function (mac, nic) {
+        if (nic.network_uuid === net.uuid) {
+            self.version += 1;
+            self.etags['nics/' + mac] = String(self.version);
+        }
+    });
+};
+
+MockNAPI.prototype.removeNetwork = function (uuid) {
+    assert.uuid(uuid, 'uuid');
+
+    if (mod_jsprim.hasKey(this.networks, uuid)) {
+        this._store('networks', uuid, null, {});
+    }
+};
+
+/**
+ * Add or replace an aggregation, as if done by another NAPI consumer.
+ */
+MockNAPI.prototype.putAggr = function (aggr) {
+    assert.object(aggr, 'aggr');
+    assert.string(aggr.name, 'aggr.name');
+    assert.uuid(aggr.belongs_to_uuid, 'aggr.belongs_to_uuid');
+
+    var id = mod_common.formatAggrId(aggr.belongs_to_uuid, aggr.name);
+
+    aggr = Object.assign({ id: id }, mod_jsprim.deepCopy(aggr));
+
+    this._store('aggrs', id, aggr, this._aggrChange(aggr));
+};
+
+module.exports = {
+    MockFeed: MockFeed,
+    MockNAPI: MockNAPI
+};
@@ -0,0 +1,517 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * An in-memory fake of the "vmadm" module, for driving InstanceFSMs and the
+ * VM watchers through a VM's lifecycle without a SmartOS CN.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_events = require('events');
+var mod_jsprim = require('jsprim');
+var VError = require('verror');
+
+// --- Globals
+
+/*
+ * The properties of "vmadm update" payloads that aren't VM properties.
+ */
+var UPDATE_CONTROL_FIELDS = [
+    'include_dni',
+    'log',
+    'uuid'
+];
+
+
+// --- Internal helpers
+
+function isPlainObject(obj) {
+    return (typeof (obj) === 'object' && obj !== null && !Array.isArray(obj));
+}
+
+function prettyPath(path) {
+    return path.map(function (part) {
+        return (typeof (part) === 'number' ? '*' : part);
+    }).join('.');
+}
+
+/*
+ * Describe the differences between two versions of a VM the way that vminfod
+ * does in the "changes" of "modify" events.
+ */
+function diffValues(path, old, cur, changes) {
+    var keys, i;
+
+    if (mod_jsprim.deepEqual(old, cur)) {
+        return;
+    }
+
+    if (Array.isArray(old) && Array.isArray(cur)) {
+        for (i = 0; i < Math.max(old.length, cur.length); i++) {
+            diffValues(path.concat([ i ]), old[i], cur[i], changes);
+        }
+        return;
+    }
+
+    if (isPlainObject(old) && isPlainObject(cur)) {
+        keys = Object.keys(old).concat(Object.keys(cur)).sort();
+        for (i = 0; i < keys.length; i++) {
+            if (keys[i] !== keys[i - 1]) {
+                diffValues(path.concat([ keys[i] ]), old[keys[i]],
+                    cur[keys[i]], changes);
+            }
+        }
+        return;
+    }
+
+    var action = 'changed';
+    if (old === undefined) {
+        action = 'added';
+    } else if (cur === undefined) {
+        action = 'removed';
+    }
+
+    changes.push({
+        path: path,
+        prettyPath: prettyPath(path),
+        action: action,
+        oldValue: old,
+        newValue: cur
+    });
+}
+
+function findNic(vm, mac) {
+    for (var i = 0; i < vm.nics.length; i++) {
+        if (vm.nics[i].mac === mac) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/*
+ * Apply a "vmadm update" payload to a copy of a VM.
+ */
+function applyUpdate(vm, payload) {
+    var updated = mod_jsprim.deepCopy(vm);
+
+    mod_jsprim.forEachKey(payload, function (field, value) {
+        if (UPDATE_CONTROL_FIELDS.indexOf(field) !== -1) {
+            return;
+        }
+
+        value = mod_jsprim.deepCopy(value);
+
+        switch (field) {
+        case 'add_nics':
+            updated.nics = (updated.nics || []).concat(value);
+            break;
+        case 'update_nics':
+            value.forEach(function (update) {
+                var idx = findNic(updated, update.mac);
+                if (idx === -1) {
+                    throw new VError('VM %s has no NIC with MAC %s',
+                        vm.uuid, update.mac);
+                }
+                Object.assign(updated.nics[idx], update);
+            });
+            break;
+        case 'remove_nics':
+            updated.nics = updated.nics.filter(function (nic) {
+                return (value.indexOf(nic.mac) === -1);
+            });
+            break;
+        case 'set_internal_metadata':
+            updated.internal_metadata = Object.assign(
+                updated.internal_metadata || {}, value);
+            break;
+        case 'remove_internal_metadata':
+            value.forEach(function (key) {
+                delete updated.internal_metadata[key];
+            });
+            break;
+        case 'set_routes':
+            updated.routes = Object.assign(updated.routes || {}, value);
+            break;
+        case 'remove_routes':
+            value.forEach(function (key) {
+                delete updated.routes[key];
+            });
+            break;
+        default:
+            updated[field] = value;
+            break;
+        }
+    });
+
+    return updated;
+}
+
+
+// --- Exports
+
+/**
+ * The MockVmadm implements the parts of the "vmadm" module that net-agent
+ * uses: lookup(), load(), update(), reboot() and events(). It stores VMs in
+ * "vms", and records the "vmadm update" payloads and reboots it's asked for.
+ *
+ * Changes to VMs (whether made through update() and reboot(), or by the test
+ * through create(), modify() and destroy()) are queued up as "vmadm events"
+ * events, so that tests can decide when watchers see them: step() delivers
+ * the next one, and flush() all of them.
+ */
+function MockVmadm() {
+    this.vms = {};
+
+    this.updates = [];
+    this.reboots = [];
+
+    /*
+     * Errors to fail the next calls to each method with, keyed by method.
+     */
+    this.failures = {};
+
+    /*
+     * Events waiting to be delivered, and the current "vmadm events"
+     * watchers.
+     */
+    this.pending = [];
+    this.watchers = [];
+}
+
+/**
+ * Make the next call to "method" fail with "err".
+ */
+MockVmadm.prototype.fail = function (method, err) {
+    assert.string(method, 'method');
+    assert.object(err, 'err');
+
+    if (!mod_jsprim.hasKey(this.failures, method)) {
+        this.failures[method] = [];
+    }
+
+    this.failures[method].push(err);
+};
+
+MockVmadm.prototype._failure = function (method) {
+    if (!mod_jsprim.hasKey(this.failures, method) ||
+        this.failures[method].length === 0) {
+        return null;
+    }
+
+    return this.failures[method].shift();
+};
+
+MockVmadm.prototype._publish = function (type, uuid, old, vm) {
+    var ev = {
+        type: type,
+        uuid: uuid,
+        zonename: uuid
+    };
+
+    if (vm !== null) {
+        ev.vm = mod_jsprim.deepCopy(vm);
+    }
+
+    if (type === 'modify') {
+        ev.changes = [];
+        diffValues([], old, vm, ev.changes);
+
+        if (ev.changes.length === 0) {
+            return;
+        }
+    }
+
+    this.pending.push(ev);
+};
+
+/**
+ * Deliver the next pending event to the watchers, returning it (or null if
+ * there were none).
+ */
+MockVmadm.prototype.step = function () {
+    var ev = this.pending.shift();
+
+    if (ev === undefined) {
+        return null;
+    }
+
+    this.watchers.forEach(function (watcher) {
+        watcher.handler(mod_jsprim.deepCopy(ev));
+    });
+
+    return ev;
+};
+
+/**
+ * Deliver all pending events, returning how many there were.
+ */
+MockVmadm.prototype.flush = function () {
+    var count = 0;
+
+    while (this.step() !== null) {
+        count += 1;
+    }
+
+    return count;
+};
+
+/**
+ * Emit "err" from all of the current watchers, as vmadm does when vminfod
+ * goes away. The watchers are dropped afterwards.
+ */
+MockVmadm.prototype.failEvents = function (err) {
+    var watchers = this.watchers;
+
+    this.watchers = [];
+
+    watchers.forEach(function (watcher) {
+        watcher.emitter.emit('error', err);
+    });
+};
+
+/**
+ * Deliver an event that happened elsewhere (like one read from a capture, see
+ * test/lib/replay.js), updating our VMs to match it first. Any events that
+ * are still pending are delivered before it.
+ */
+MockVmadm.prototype.deliver = function (ev) {
+    assert.object(ev, 'ev');
+    assert.string(ev.type, 'ev.type');
+    assert.uuid(ev.zonename, 'ev.zonename');
+
+    this.flush();
+
+    if (ev.type === 'delete') {
+        delete this.vms[ev.zonename];
+    } else {
+        assert.object(ev.vm, 'ev.vm');
+        this.vms[ev.zonename] = mod_jsprim.deepCopy(ev.vm);
+    }
+
+    this.pending.push(mod_jsprim.deepCopy(ev));
+    this.flush();
+};
+
+/**
+ * Create a VM, as if by VMAPI.
+ */
+MockVmadm.prototype.create = function (vm) {
+    assert.object(vm, 'vm');
+    assert.uuid(vm.uuid, 'vm.uuid');
+    assert.ok(!mod_jsprim.hasKey(this.vms, vm.uuid), 'VM already exists');
+
+    vm = Object.assign({
+        state: 'running',
+        nics: [],
+        routes: {},
+        resolvers: [],
+        internal_metadata: {}
+    }, mod_jsprim.deepCopy(vm));
+
+    this.vms[vm.uuid] = vm;
+    this._publish('create', vm.uuid, null, vm);
+};
+
+/**
+ * Change a VM's properties, as if by vmadm(1M). "payload" is interpreted
+ * like a "vmadm update" payload.
+ */
+MockVmadm.prototype.modify = function (uuid, payload) {
+    assert.uuid(uuid, 'uuid');
+    assert.object(payload, 'payload');
+    assert.ok(mod_jsprim.hasKey(this.vms, uuid), 'VM exists');
+
+    var old = this.vms[uuid];
+    var vm = applyUpdate(old, payload);
+
+    this.vms[uuid] = vm;
+    this._publish('modify', uuid, old, vm);
+};
+
+/**
+ * Destroy a VM.
+ */
+MockVmadm.prototype.destroy = function (uuid) {
+    assert.uuid(uuid, 'uuid');
+    assert.ok(mod_jsprim.hasKey(this.vms, uuid), 'VM exists');
+
+    delete this.vms[uuid];
+    this._publish('delete', uuid, null, null);
+};
+
+MockVmadm.prototype.lookup = function (search, opts, callback) {
+    assert.object(search, 'search');
+    assert.object(opts, 'opts');
+    assert.optionalArrayOfString(opts.fields, 'opts.fields');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var err = self._failure('lookup');
+
+    if (err !== null) {
+        setImmediate(callback, err);
+        return;
+    }
+
+    var vms = Object.keys(self.vms).sort().map(function (uuid) {
+        return self.vms[uuid];
+    }).filter(function (vm) {
+        if (vm.do_not_inventory && !opts.include_dni) {
+            return false;
+        }
+
+        return Object.keys(search).every(function (field) {
+            return mod_jsprim.deepEqual(vm[field], search[field]);
+        });
+    }).map(function (vm) {
+        if (opts.fields === undefined) {
+            return mod_jsprim.deepCopy(vm);
+        }
+
+        var obj = {};
+        opts.fields.forEach(function (field) {
+            if (mod_jsprim.hasKey(vm, field)) {
+                obj[field] = mod_jsprim.deepCopy(vm[field]);
+            }
+        });
+        return obj;
+    });
+
+    setImmediate(callback, null, vms);
+};
+
+MockVmadm.prototype.load = function (opts, callback) {
+    assert.object(opts, 'opts');
+    assert.uuid(opts.uuid, 'opts.uuid');
+    assert.func(callback, 'callback');
+
+    var err = this._failure('load');
+
+    if (err === null && !mod_jsprim.hasKey(this.vms, opts.uuid)) {
+        err = new VError('VM %s not found', opts.uuid);
+        err.restCode = 'VmNotFound';
+    }
+
+    if (err !== null) {
+        setImmediate(callback, err);
+        return;
+    }
+
+    setImmediate(callback, null, mod_jsprim.deepCopy(this.vms[opts.uuid]));
+};
+
+MockVmadm.prototype.update = function (payload, callback) {
+    assert.object(payload, 'payload');
+    assert.uuid(payload.uuid, 'payload.uuid');
+    assert.func(callback, 'callback');
+
+    var err = this._failure('update');
+
+    if (err === null && !mod_jsprim.hasKey(this.vms, payload.uuid)) {
+        err = new VError('VM %s not found', payload.uuid);
+    }
+
+    if (err !== null) {
+        setImmediate(callback, err);
+        return;
+    }
+
+    var recorded = Object.assign({}, payload);
+    delete recorded.log;
+    this.updates.push(mod_jsprim.deepCopy(recorded));
+
+    try {
+        this.modify(payload.uuid, payload);
+    } catch (e) {
+        setImmediate(callback, e);
+        return;
+    }
+
+    setImmediate(callback, null);
+};
+
+/**
+ * Reboot a VM. Like vmadm, this fails for VMs that aren't running.
+ */
+MockVmadm.prototype.reboot = function (opts, callback) {
+    assert.object(opts, 'opts');
+    assert.uuid(opts.uuid, 'opts.uuid');
+    assert.func(callback, 'callback');
+
+    var err = this._failure('reboot');
+    var vm = mod_jsprim.hasKey(this.vms, opts.uuid) ?
+        this.vms[opts.uuid] : null;
+
+    if (err === null && (vm === null || vm.state !== 'running')) {
+        err = new VError('VM %s is not running', opts.uuid);
+    }
+
+    if (err !== null) {
+        setImmediate(callback, err);
+        return;
+    }
+
+    this.reboots.push(opts.uuid);
+    this.modify(opts.uuid, {
+        boot_timestamp: new Date().toISOString()
+    });
+
+    setImmediate(callback, null);
+};
+
+/**
+ * Start watching for events, like "vmadm events". "ready" is called with the
+ * current VMs once the watcher is set up, after which "handler" is called
+ * for each event delivered with step() or flush().
+ */
+MockVmadm.prototype.events = function (opts, handler, ready) {
+    assert.object(opts, 'opts');
+    assert.func(handler, 'handler');
+    assert.func(ready, 'ready');
+
+    var self = this;
+    var watcher = {
+        emitter: new mod_events.EventEmitter(),
+        handler: handler
+    };
+
+    setImmediate(function () {
+        var err = self._failure('events');
+
+        if (err !== null) {
+            ready(err);
+            return;
+        }
+
+        self.watchers.push(watcher);
+
+        ready(null, {
+            ev: {
+                vms: mod_jsprim.deepCopy(self.vms)
+            },
+            stop: function stopWatcher() {
+                var idx = self.watchers.indexOf(watcher);
+                if (idx !== -1) {
+                    self.watchers.splice(idx, 1);
+                }
+            }
+        });
+    });
+
+    return watcher.emitter;
+};
+
+module.exports = {
+    MockVmadm: MockVmadm
+};
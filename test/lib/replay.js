@@ -0,0 +1,211 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Replay a capture taken with the "capture_file" option (see lib/capture.js)
+ * into a simulated NetAgent (see test/lib/sim.js), so that what it did in
+ * response can be inspected offline.
+ *
+ * The capture only has net-agent's inputs, and not the objects in NAPI, so
+ * the mock NAPI starts out empty unless it's seeded with the contents of a
+ * state cache (see lib/cache.js) from the same CN.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_jsprim = require('jsprim');
+var Simulation = require('./sim').Simulation;
+
+// --- Globals
+
+/*
+ * How long to keep going after the last record by default, so that delayed
+ * updates and retries get to happen.
+ */
+var DEFAULT_LINGER = 60 * 1000;
+
+
+// --- Internal helpers
+
+function findRecord(records, type) {
+    for (var i = 0; i < records.length; i++) {
+        if (records[i].type === type) {
+            return records[i];
+        }
+    }
+
+    return null;
+}
+
+
+// --- Exports
+
+/**
+ * Create a replay of the records read from a capture (with readCapture()).
+ * Options:
+ *
+ * - "records", the capture's records.
+ * - "state", the contents of a state cache to seed the mock NAPI with.
+ * - "config", additional NetAgent options.
+ * - "linger", how long to keep going after the last record, in milliseconds.
+ *
+ * The simulation is available as "sim".
+ */
+function Replay(opts) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.records, 'opts.records');
+    assert.ok(opts.records.length > 0, 'capture has no records');
+    assert.optionalObject(opts.state, 'opts.state');
+    assert.optionalObject(opts.config, 'opts.config');
+    assert.optionalNumber(opts.linger, 'opts.linger');
+
+    var start = findRecord(opts.records, 'start');
+    var sysinfo = findRecord(opts.records, 'sysinfo');
+    var ready = findRecord(opts.records, 'vmadm-ready');
+
+    this.records = opts.records;
+    this.linger = typeof (opts.linger) === 'number' ?
+        opts.linger : DEFAULT_LINGER;
+    this.epoch = opts.records[0].time;
+
+    this.sim = new Simulation({
+        sysinfo: sysinfo === null ? undefined : sysinfo.data,
+        config: mod_jsprim.mergeObjects(opts.config, null,
+            start === null ? {} : {
+                cn_uuid: start.data.cn_uuid,
+                agent_uuid: start.data.agent_uuid,
+                admin_uuid: start.data.admin_uuid
+            })
+    });
+
+    /*
+     * Our clock starts when the capture does, and the only changes that get
+     * published to the changefeed are the ones that were captured.
+     */
+    this.sim.clock.epoch = this.epoch;
+    this.sim.napi.publishChanges = false;
+
+    if (ready !== null) {
+        this.sim.vmadm.vms = mod_jsprim.deepCopy(ready.data);
+    }
+
+    if (opts.state !== undefined) {
+        this._seed(opts.state);
+    }
+}
+
+Replay.prototype._seed = function (state) {
+    var napi = this.sim.napi;
+
+    /*
+     * Networks go first, so that the NICs on them get their properties.
+     */
+    mod_jsprim.forEachKey(state.nets || {}, function (_, cached) {
+        napi.putNetwork(cached.remote);
+    });
+
+    mod_jsprim.forEachKey(state.nics || {}, function (_, cached) {
+        napi.putNic(cached.remote);
+    });
+
+    mod_jsprim.forEachKey(state.aggrs || {}, function (_, cached) {
+        napi.putAggr(cached.remote);
+    });
+};
+
+/*
+ * Apply a record to the simulation. Records that only describe how things
+ * started out have already been used when setting it up.
+ */
+Replay.prototype._apply = function (rec) {
+    var sim = this.sim;
+
+    switch (rec.type) {
+    case 'start':
+        break;
+    case 'changefeed':
+        sim.napi.feed.publish(mod_jsprim.deepCopy(rec.data));
+        break;
+    case 'bootstrap':
+        sim.napi.feed.bootstrap(rec.data.resource);
+        break;
+    case 'sysinfo':
+        sim.sysinfo = mod_jsprim.deepCopy(rec.data);
+        sim.agent.server.refresh();
+        break;
+    case 'vmadm-ready':
+        /*
+         * "vmadm events" was restarted while capturing. We don't restart our
+         * watcher, but we do make sure that it ends up with the same VMs.
+         */
+        sim.vmadm.vms = mod_jsprim.deepCopy(rec.data);
+        break;
+    case 'vmadm':
+        sim.vmadm.deliver(rec.data);
+        break;
+    default:
+        throw new Error('unknown record type: ' + rec.type);
+    }
+};
+
+/**
+ * Start the simulation and feed it each record at the time it was captured,
+ * then call "callback" with what the NetAgent did:
+ *
+ * - "napi", the requests it made to NAPI.
+ * - "updates" and "reboots", its "vmadm update" payloads and VM reboots.
+ * - "hostNet", the changes it made to the CN's links.
+ *
+ * The simulation is left running, so that it can be inspected further; call
+ * stop() once done with it.
+ */
+Replay.prototype.run = function (callback) {
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var sim = self.sim;
+    var idx = 0;
+
+    function finish() {
+        callback(null, {
+            napi: sim.napi.requests.slice(),
+            updates: sim.vmadm.updates.slice(),
+            reboots: sim.vmadm.reboots.slice(),
+            hostNet: sim.hostNet.ops.slice()
+        });
+    }
+
+    function next() {
+        if (idx >= self.records.length) {
+            sim.advance(self.linger, finish);
+            return;
+        }
+
+        var rec = self.records[idx];
+        var wait = Math.max(0, rec.time - self.epoch - sim.clock.now);
+
+        sim.advance(wait, function () {
+            self._apply(rec);
+            idx += 1;
+            next();
+        });
+    }
+
+    sim.start(next);
+};
+
+Replay.prototype.stop = function (callback) {
+    this.sim.stop(callback);
+};
+
+module.exports = {
+    Replay: Replay
+};
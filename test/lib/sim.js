@@ -0,0 +1,269 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * A harness for simulating net-agent: it runs a NetAgent against the mock
+ * NAPI, the mock vmadm and a fake host network backend, with a fake clock, so
+ * that tests can step through hours of retries and refreshes in moments.
+ *
+ * Only time is faked: requests to the mock NAPI are real HTTP requests over
+ * the loopback interface. Moving the clock forward with advance() therefore
+ * alternates between waiting for outstanding requests to finish (in real
+ * time) and firing the timers that are due next.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var FakeBackend = require('./host-net').FakeBackend;
+var FakeClock = require('./fake-clock').FakeClock;
+var log = require('./log');
+var mod_fs = require('fs');
+var mod_jsprim = require('jsprim');
+var mod_os = require('os');
+var mod_path = require('path');
+var MockNAPI = require('./mock-napi').MockNAPI;
+var MockVmadm = require('./mock-vmadm').MockVmadm;
+var NetAgent = require('../../lib/net-agent');
+
+// --- Globals
+
+var ADMIN_UUID = '930896af-bf8c-48d4-885c-6573a94b1853';
+var AGENT_UUID = '8a3f9c2e-51d4-4d2b-9b8e-2f1c6d7e8a01';
+var CN_UUID = '564d2b8e-4b6b-4d7a-9d2c-2a5e2d6d7e01';
+
+/*
+ * The number of turns of the event loop without any outstanding requests or
+ * due timers after which we consider the simulation to have settled.
+ */
+var IDLE_TURNS = 5;
+
+/*
+ * The methods of the NAPI client through which all requests are made.
+ */
+var CLIENT_METHODS = [ 'del', 'get', 'post', 'put' ];
+
+/*
+ * A CN with one physical NIC, which has no VNICs or aggregations.
+ */
+var DEFAULT_SYSINFO = {
+    'Network Interfaces': {
+        'ixgbe0': {
+            'MAC Address': '90:b8:d0:00:00:01',
+            'Link Status': 'up',
+            'NIC Names': [ 'admin' ]
+        }
+    },
+    'Virtual Network Interfaces': {},
+    'Link Aggregations': {}
+};
+
+/*
+ * We grab setImmediate() when we're loaded, since it's what we use to wait
+ * on real events while the fake clock is installed.
+ */
+var realSetImmediate = setImmediate;
+
+
+// --- Exports
+
+/**
+ * Create a simulation of a CN. Options:
+ *
+ * - "sysinfo", the CN's sysinfo (see DEFAULT_SYSINFO).
+ * - "config", additional NetAgent options (e.g., "sysinfo_refresh"), which
+ *   can also replace the CN's UUIDs.
+ *
+ * The mock NAPI, mock vmadm and fake host network backend are available as
+ * "napi", "vmadm" and "hostNet", and can be set up before calling start().
+ * The NetAgent itself is "agent" once started.
+ */
+function Simulation(opts) {
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+    assert.optionalObject(opts.sysinfo, 'opts.sysinfo');
+    assert.optionalObject(opts.config, 'opts.config');
+
+    this.config = mod_jsprim.mergeObjects(opts.config, null, {
+        cn_uuid: CN_UUID,
+        agent_uuid: AGENT_UUID,
+        admin_uuid: ADMIN_UUID
+    });
+    this.cn_uuid = this.config.cn_uuid;
+    this.admin_uuid = this.config.admin_uuid;
+
+    this.clock = new FakeClock();
+    this.napi = new MockNAPI();
+    this.vmadm = new MockVmadm();
+    this.hostNet = new FakeBackend();
+    this.sysinfo = mod_jsprim.deepCopy(opts.sysinfo || DEFAULT_SYSINFO);
+
+    this.cacheFile = mod_path.join(mod_os.tmpdir(),
+        'net-agent-sim-' + process.pid + '-' + Date.now() + '.json');
+
+    /*
+     * The number of NAPI requests that haven't finished yet.
+     */
+    this.inflight = 0;
+
+    /*
+     * How many times the NetAgent has loaded sysinfo.
+     */
+    this.sysinfoLoads = 0;
+
+    this.agent = null;
+}
+
+/**
+ * Start the mock NAPI and the NetAgent, and wait for the NetAgent to settle.
+ */
+Simulation.prototype.start = function (callback) {
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    self.napi.start(function () {
+        self.clock.install();
+
+        self.agent = new NetAgent(mod_jsprim.mergeObjects(self.config, {
+            log: log,
+            napi: { url: self.napi.url },
+            cueballAgent: {
+                spares: 1,
+                maximum: 2,
+                recovery: {
+                    default: {
+                        timeout: 2000,
+                        maxTimeout: 8000,
+                        retries: 3,
+                        delay: 0,
+                        maxDelay: 1000
+                    }
+                }
+            },
+            cache_file: self.cacheFile,
+            feed: self.napi.feed,
+            vmadm: self.vmadm,
+            hostNet: self.hostNet,
+            loadSysinfo: function (cb) {
+                self.sysinfoLoads += 1;
+                realSetImmediate(cb, null,
+                    mod_jsprim.deepCopy(self.sysinfo));
+            }
+        }));
+
+        self.track(self.agent.napi);
+        self.agent.start();
+        self.settle(callback);
+    });
+};
+
+/**
+ * Count the requests made through a NAPI client, so that we know when to
+ * wait for them.
+ */
+Simulation.prototype.track = function (client) {
+    var self = this;
+
+    CLIENT_METHODS.forEach(function (method) {
+        var orig = client[method];
+
+        client[method] = function () {
+            var args = Array.prototype.slice.call(arguments);
+            var callback = args.pop();
+
+            assert.func(callback, 'callback');
+
+            self.inflight += 1;
+
+            args.push(function () {
+                self.inflight -= 1;
+                callback.apply(null, arguments);
+            });
+
+            return orig.apply(client, args);
+        };
+    });
+};
+
+/**
+ * Wait until there are no outstanding requests, and no timers due at the
+ * current time.
+ */
+Simulation.prototype.settle = function (callback) {
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var idle = 0;
+
+    function check() {
+        if (self.inflight > 0 || self.clock.runNext(self.clock.now)) {
+            idle = 0;
+        } else {
+            idle += 1;
+        }
+
+        if (idle >= IDLE_TURNS) {
+            callback();
+            return;
+        }
+
+        realSetImmediate(check);
+    }
+
+    check();
+};
+
+/**
+ * Move the clock forward by "ms" milliseconds, firing every timer that comes
+ * due, and letting whatever they do finish before moving on to the next.
+ */
+Simulation.prototype.advance = function (ms, callback) {
+    assert.number(ms, 'ms');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var target = self.clock.now + ms;
+
+    function next() {
+        if (self.clock.runNext(target)) {
+            self.settle(next);
+            return;
+        }
+
+        self.clock.tick(target - self.clock.now);
+        self.settle(callback);
+    }
+
+    self.settle(next);
+};
+
+/**
+ * Stop the NetAgent and the mock NAPI, and put the real clock back.
+ */
+Simulation.prototype.stop = function (callback) {
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    self.agent.stop();
+
+    self.settle(function () {
+        self.clock.uninstall();
+
+        mod_fs.unlink(self.cacheFile, function () {
+            self.napi.stop(callback);
+        });
+    });
+};
+
+module.exports = {
+    Simulation: Simulation
+};
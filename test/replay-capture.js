@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * replay-capture.js: replay a net-agent capture against the mocks used by the
+ * tests (see test/lib/replay.js), and print what net-agent did in response.
+ *
+ *     replay-capture.js CAPTURE_FILE [STATE_CACHE_FILE]
+ */
+
+'use strict';
+
+var mod_capture = require('../lib/capture');
+var mod_fs = require('fs');
+var Replay = require('./lib/replay').Replay;
+
+function fatal(err) {
+    console.error('replay-capture.js: %s', err.message);
+    process.exit(1);
+}
+
+function main() {
+    var argv = process.argv.slice(2);
+    var replay, state;
+
+    if (argv.length < 1 || argv.length > 2) {
+        console.error('usage: replay-capture.js CAPTURE_FILE ' +
+            '[STATE_CACHE_FILE]');
+        process.exit(2);
+    }
+
+    try {
+        if (argv.length > 1) {
+            state = JSON.parse(mod_fs.readFileSync(argv[1], 'utf-8'));
+        }
+
+        replay = new Replay({
+            records: mod_capture.readCapture(argv[0]),
+            state: state
+        });
+    } catch (e) {
+        fatal(e);
+    }
+
+    replay.run(function (err, actions) {
+        replay.stop(function () {
+            if (err) {
+                fatal(err);
+            }
+
+            console.log(JSON.stringify(actions, null, 4));
+        });
+    });
+}
+
+main();
@@ -0,0 +1,168 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for syncing the CN's aggregations with NAPI.
+ */
+
+'use strict';
+
+var AggrFSM = require('../../lib/aggr-fsm');
+var log = require('../lib/log');
+var mod_common = require('../../lib/common');
+var MockNAPI = require('../lib/mock-napi').MockNAPI;
+var test = require('tape');
+
+// --- Globals
+
+var CN_UUID = '564d2b8e-4b6b-4d7a-9d2c-2a5e2d6d7e01';
+var MAC1 = '90:b8:d0:00:00:02';
+var MAC2 = '90:b8:d0:00:00:03';
+var AGGR_ID = mod_common.formatAggrId(CN_UUID, 'aggr0');
+var AGGR_PATH = '/aggregations/' + encodeURIComponent(AGGR_ID);
+
+var napi = new MockNAPI();
+
+
+// --- Helpers
+
+/*
+ * Create an AggrFSM for "aggr0", with "remote" for it in the mock NAPI, and
+ * record the updates sent to it.
+ */
+function createAggr(remote, updates) {
+    napi.putAggr(remote);
+    napi.onRequest = function (request, body) {
+        if (request === 'PUT ' + AGGR_PATH) {
+            updates.push(body);
+        }
+    };
+
+    var app = {
+        cn_uuid: CN_UUID,
+        log: log,
+        napi: napi.createClient(),
+        aggrs: {},
+        retryPolicy: new mod_common.RetryPolicy(),
+        cache: {
+            get: function () {
+                return null;
+            },
+            set: function () {},
+            remove: function () {}
+        }
+    };
+
+    return new AggrFSM({
+        name: 'aggr0',
+        app: app
+    });
+}
+
+function aggr(fields) {
+    return Object.assign({
+        name: 'aggr0',
+        belongs_to_uuid: CN_UUID,
+        lacp_mode: 'active',
+        macs: [ MAC1, MAC2 ],
+        nic_tags_provided: [ 'external' ]
+    }, fields);
+}
+
+/*
+ * Call "callback" once the AggrFSM is waiting, after "count" updates have been
+ * sent to the mock NAPI.
+ */
+function afterSync(afsm, updates, count, callback) {
+    function onState(state) {
+        if (state !== 'waiting' || updates.length < count ||
+            !afsm.isInState('waiting')) {
+            return;
+        }
+
+        afsm.removeListener('stateChanged', onState);
+        callback();
+    }
+
+    afsm.on('stateChanged', onState);
+}
+
+
+// --- Tests
+
+test('Setup', function (t) {
+    napi.start(function () {
+        t.ok(napi.url, 'mock NAPI listening');
+        t.end();
+    });
+});
+
+test('Aggregation changes are pushed, and drift reported', function (t) {
+    var updates = [];
+    var afsm = createAggr(aggr({
+        nic_tags_provided: [ 'external', 'internal' ]
+    }), updates);
+
+    afsm.setLocal(aggr({ macs: [ MAC2, MAC1 ] }));
+
+    afterSync(afsm, updates, 0, function () {
+        t.deepEqual(updates, [], 'nothing pushed to NAPI');
+        t.deepEqual(afsm.drift, {
+            nic_tags_provided: {
+                local: [ 'external' ],
+                remote: [ 'external', 'internal' ]
+            }
+        }, 'NIC tags drift reported, but not reordered links');
+        t.deepEqual(afsm.changed, {}, 'nothing changed on the CN');
+
+        afsm.setLocal(aggr({ lacp_mode: 'passive', macs: [ MAC2, MAC1 ] }));
+        t.deepEqual(Object.keys(afsm.changed), [ 'lacp_mode' ],
+            'LACP mode changed on the CN');
+
+        afterSync(afsm, updates, 1, function () {
+            t.deepEqual(updates, [ { lacp_mode: 'passive' } ],
+                'only the changed LACP mode pushed');
+            t.deepEqual(afsm.changed, {}, 'change no longer pending');
+            t.deepEqual(Object.keys(afsm.drift), [ 'nic_tags_provided' ],
+                'NIC tags still drifted');
+            t.equal(afsm.etag, napi.etags['aggrs/' + AGGR_ID],
+                'latest etag');
+
+            afsm.stop();
+            t.end();
+        });
+    });
+});
+
+test('Changed member links are pushed', function (t) {
+    var updates = [];
+    var afsm = createAggr(aggr(), updates);
+
+    afsm.setLocal(aggr());
+
+    afterSync(afsm, updates, 0, function () {
+        afsm.setLocal(aggr({ macs: [ MAC1 ] }));
+
+        afterSync(afsm, updates, 1, function () {
+            t.deepEqual(updates, [ { macs: [ MAC1 ] } ],
+                'member links pushed');
+            t.deepEqual(afsm.drift, {}, 'no drift');
+
+            afsm.stop();
+            t.end();
+        });
+    });
+});
+
+test('Teardown', function (t) {
+    napi.stop(function () {
+        t.end();
+    });
+});
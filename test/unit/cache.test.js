@@ -0,0 +1,98 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for the on-disk state cache.
+ */
+
+'use strict';
+
+var log = require('../lib/log');
+var mod_fs = require('fs');
+var mod_os = require('os');
+var mod_path = require('path');
+var StateCache = require('../../lib/cache');
+var test = require('tape');
+
+// --- Globals
+
+var CACHE_FILE = mod_path.join(mod_os.tmpdir(),
+    'net-agent-cache-test.' + process.pid + '.json');
+
+var MAC = '90:b8:d0:c0:ff:ee';
+var NIC = {
+    mac: MAC,
+    ip: '10.0.0.5',
+    belongs_to_type: 'zone'
+};
+
+
+// --- Tests
+
+test('Missing cache file', function (t) {
+    var cache = new StateCache({ log: log, path: CACHE_FILE });
+
+    cache.load();
+
+    t.equal(cache.get('nics', MAC), null, 'no cached NIC');
+    t.end();
+});
+
+test('Cache round trip', function (t) {
+    var cache = new StateCache({ log: log, path: CACHE_FILE });
+
+    cache.set('nics', MAC, NIC, '"etag-1"');
+    cache.set('nets', 'no-etag', {}, undefined);
+
+    t.deepEqual(cache.get('nics', MAC), {
+        remote: NIC,
+        etag: '"etag-1"'
+    }, 'NIC cached in memory');
+    t.equal(cache.get('nets', 'no-etag'), null,
+        'objects without an Etag are not cached');
+
+    cache.write(function (err) {
+        t.ifError(err, 'write cache');
+
+        var loaded = new StateCache({ log: log, path: CACHE_FILE });
+        loaded.load();
+
+        t.deepEqual(loaded.get('nics', MAC), {
+            remote: NIC,
+            etag: '"etag-1"'
+        }, 'NIC loaded from disk');
+
+        loaded.remove('nics', MAC);
+        t.equal(loaded.get('nics', MAC), null, 'NIC removed');
+
+        loaded.write(function (err2) {
+            t.ifError(err2, 'write cache');
+            t.end();
+        });
+    });
+});
+
+test('Cache with unknown version', function (t) {
+    mod_fs.writeFileSync(CACHE_FILE, JSON.stringify({
+        version: 1000,
+        nics: {}
+    }));
+
+    var cache = new StateCache({ log: log, path: CACHE_FILE });
+    cache.load();
+
+    t.equal(cache.get('nics', MAC), null, 'no cached NIC');
+    t.end();
+});
+
+test('Cleanup', function (t) {
+    mod_fs.unlinkSync(CACHE_FILE);
+    t.end();
+});
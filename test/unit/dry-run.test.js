@@ -0,0 +1,265 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests that nothing gets changed in dry-run mode.
+ */
+
+'use strict';
+
+var Simulation = require('../lib/sim').Simulation;
+var test = require('tape');
+
+// --- Globals
+
+var ADMIN_MAC = '90:b8:d0:00:00:01';
+var EXTERNAL_MAC = '90:b8:d0:00:00:02';
+var MEMBER_MAC = '90:b8:d0:00:00:03';
+var UNDERLAY_MAC = '90:b8:d0:00:00:04';
+
+var NET_UUID = 'c8a5bd7e-8c48-4a4c-a0b1-5b7d2e3f4a01';
+var UNDERLAY_NET_UUID = 'c8a5bd7e-8c48-4a4c-a0b1-5b7d2e3f4a02';
+
+var VM_UUID = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a01';
+var DUP_VM_UUID = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a02';
+var GONE_VM_UUID = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a03';
+var OTHER_VM_UUID = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a04';
+
+var VM_MAC = '90:b8:d0:c0:ff:01';
+var DUP_VM_MAC = '90:b8:d0:c0:ff:02';
+var GONE_VM_MAC = '90:b8:d0:c0:ff:03';
+
+var MINUTE = 60 * 1000;
+
+/*
+ * A CN with an admin NIC, an external NIC that isn't in NAPI yet, an
+ * aggregation and an underlay VNIC.
+ */
+var SYSINFO = {
+    'Network Interfaces': {
+        'ixgbe0': {
+            'MAC Address': ADMIN_MAC,
+            'Link Status': 'up',
+            'NIC Names': [ 'admin' ]
+        },
+        'ixgbe1': {
+            'MAC Address': EXTERNAL_MAC,
+            'Link Status': 'up',
+            'NIC Names': [ 'external', 'sdc_underlay' ]
+        },
+        'ixgbe2': {
+            'MAC Address': MEMBER_MAC,
+            'Link Status': 'up',
+            'NIC Names': []
+        },
+        'aggr0': {
+            'Link Status': 'up',
+            'NIC Names': [ 'internal' ]
+        }
+    },
+    'Virtual Network Interfaces': {
+        'sdc_underlay0': {
+            'MAC Address': UNDERLAY_MAC,
+            'Host Interface': 'ixgbe1',
+            'Link Status': 'up',
+            'VLAN': '0'
+        }
+    },
+    'Link Aggregations': {
+        'aggr0': {
+            'LACP mode': 'active',
+            'Interfaces': [ 'ixgbe2' ]
+        }
+    }
+};
+
+
+// --- Helpers
+
+function vmNic(mac, fields) {
+    return Object.assign({
+        interface: 'net0',
+        mac: mac,
+        ip: '10.0.0.5',
+        gateway: '10.0.0.1',
+        netmask: '255.255.255.0',
+        nic_tag: 'external',
+        mtu: 1500,
+        vlan_id: 0,
+        network_uuid: NET_UUID,
+        primary: true
+    }, fields);
+}
+
+function napiNic(sim, mac, vm_uuid, fields) {
+    sim.napi.putNic(Object.assign({
+        mac: mac,
+        belongs_to_uuid: vm_uuid,
+        belongs_to_type: 'zone',
+        owner_uuid: sim.admin_uuid,
+        cn_uuid: sim.cn_uuid,
+        ip: '10.0.0.5',
+        network_uuid: NET_UUID,
+        primary: true,
+        state: 'running'
+    }, fields));
+}
+
+/*
+ * Set up a CN where every kind of change is needed: a NIC to create in NAPI,
+ * physical NICs, an aggregation and VMs to update in NAPI, a VNIC and a VM to
+ * update on the CN, a NIC to remove from a VM (which then gets rebooted), and
+ * (once the test destroys GONE_VM_UUID) a NIC to delete from NAPI.
+ */
+function createSim(config) {
+    var sim = new Simulation({ sysinfo: SYSINFO, config: config });
+
+    sim.hostNet.links = {
+        'ixgbe0': { class: 'phys', mtu: 1500, speed: 10000 },
+        'ixgbe1': { class: 'phys', mtu: 1500, speed: 10000 },
+        'ixgbe2': { class: 'phys', mtu: 1500, speed: 10000 },
+        'aggr0': { class: 'aggr', mtu: 1500 },
+        'sdc_underlay0': { class: 'vnic', mtu: 1500 }
+    };
+
+    sim.napi.putNetwork({
+        uuid: NET_UUID,
+        gateway: '10.0.0.254',
+        mtu: 1500,
+        netmask: '255.255.255.0',
+        nic_tag: 'external',
+        vlan_id: 0
+    });
+    sim.napi.putNetwork({
+        uuid: UNDERLAY_NET_UUID,
+        mtu: 1500,
+        netmask: '255.255.255.0',
+        nic_tag: 'sdc_underlay',
+        vlan_id: 5
+    });
+
+    sim.napi.putNic({
+        mac: ADMIN_MAC,
+        belongs_to_uuid: sim.cn_uuid,
+        belongs_to_type: 'server',
+        owner_uuid: sim.admin_uuid,
+        state: 'running',
+        mtu: 1500,
+        nic_tags_provided: [ 'admin' ]
+    });
+    sim.napi.putNic({
+        mac: UNDERLAY_MAC,
+        belongs_to_uuid: sim.cn_uuid,
+        belongs_to_type: 'server',
+        owner_uuid: sim.admin_uuid,
+        ip: '10.1.0.5',
+        network_uuid: UNDERLAY_NET_UUID,
+        state: 'running'
+    });
+    sim.napi.putAggr({
+        name: 'aggr0',
+        belongs_to_uuid: sim.cn_uuid,
+        lacp_mode: 'active',
+        macs: [ MEMBER_MAC ],
+        nic_tags_provided: [ 'internal' ]
+    });
+
+    napiNic(sim, VM_MAC, VM_UUID);
+    napiNic(sim, DUP_VM_MAC, OTHER_VM_UUID);
+    napiNic(sim, GONE_VM_MAC, GONE_VM_UUID);
+
+    sim.vmadm.create({
+        uuid: VM_UUID,
+        nics: [ vmNic(VM_MAC) ]
+    });
+    sim.vmadm.create({
+        uuid: DUP_VM_UUID,
+        nics: [ vmNic(DUP_VM_MAC) ]
+    });
+    sim.vmadm.create({
+        uuid: GONE_VM_UUID,
+        nics: [ vmNic(GONE_VM_MAC) ]
+    });
+    sim.vmadm.flush();
+
+    return sim;
+}
+
+/*
+ * Run the scenario, and call "callback" with the changes that were made to
+ * NAPI, the VMs and the CN's links.
+ */
+function run(config, callback) {
+    var sim = createSim(config);
+
+    function change() {
+        /*
+         * Change the aggregation's LACP mode on the CN, and destroy a VM.
+         */
+        sim.sysinfo['Link Aggregations']['aggr0']['LACP mode'] = 'passive';
+        sim.vmadm.destroy(GONE_VM_UUID);
+        sim.vmadm.flush();
+
+        sim.advance(10 * MINUTE, function () {
+            var changes = {
+                napi: sim.napi.requests.filter(function (req) {
+                    return !/^GET /.test(req);
+                }),
+                updates: sim.vmadm.updates,
+                reboots: sim.vmadm.reboots,
+                hostNet: sim.hostNet.ops
+            };
+
+            sim.stop(function () {
+                callback(changes);
+            });
+        });
+    }
+
+    /*
+     * Wait for the VMs to be loaded before changing anything.
+     */
+    sim.start(function () {
+        sim.advance(MINUTE, change);
+    });
+}
+
+
+// --- Tests
+
+test('Changes are made when not in dry-run mode', function (t) {
+    run({}, function (changes) {
+        t.ok(changes.napi.indexOf('POST /nics') !== -1, 'NIC created');
+        t.ok(changes.napi.some(function (req) {
+            return /^PUT \/nics\//.test(req);
+        }), 'NIC updated');
+        t.ok(changes.napi.some(function (req) {
+            return /^PUT \/aggregations\//.test(req);
+        }), 'aggregation updated');
+        t.ok(changes.napi.some(function (req) {
+            return /^DELETE \/nics\//.test(req);
+        }), 'NIC deleted');
+        t.ok(changes.updates.length > 0, 'VMs updated');
+        t.deepEqual(changes.reboots, [ DUP_VM_UUID ],
+            'VM with duplicate NIC rebooted');
+        t.ok(changes.hostNet.length > 0, 'links on the CN changed');
+        t.end();
+    });
+});
+
+test('Nothing is changed in dry-run mode', function (t) {
+    run({ dry_run: true }, function (changes) {
+        t.deepEqual(changes.napi, [], 'no NAPI changes');
+        t.deepEqual(changes.updates, [], 'no VM updates');
+        t.deepEqual(changes.reboots, [], 'no VM reboots');
+        t.deepEqual(changes.hostNet, [], 'no changes to links on the CN');
+        t.end();
+    });
+});
@@ -0,0 +1,289 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for the kang introspection and metrics endpoints.
+ */
+
+'use strict';
+
+var mod_http = require('http');
+var Simulation = require('../lib/sim').Simulation;
+var test = require('tape');
+
+// --- Globals
+
+var VM_UUID = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a01';
+var NET_UUID = 'c8a5bd7e-8c48-4a4c-a0b1-5b7d2e3f4a01';
+var VM_MAC = '90:b8:d0:c0:ff:ee';
+var ADMIN_MAC = '90:b8:d0:00:00:01';
+
+/*
+ * A CN with an admin NIC, and an aggregation of two more.
+ */
+var SYSINFO = {
+    'Network Interfaces': {
+        'ixgbe0': {
+            'MAC Address': ADMIN_MAC,
+            'Link Status': 'up',
+            'NIC Names': [ 'admin' ]
+        },
+        'ixgbe1': {
+            'MAC Address': '90:b8:d0:00:00:02',
+            'Link Status': 'up',
+            'NIC Names': []
+        },
+        'ixgbe2': {
+            'MAC Address': '90:b8:d0:00:00:03',
+            'Link Status': 'up',
+            'NIC Names': []
+        },
+        'aggr0': {
+            'Link Status': 'up',
+            'NIC Names': [ 'external' ]
+        }
+    },
+    'Virtual Network Interfaces': {},
+    'Link Aggregations': {
+        'aggr0': {
+            'LACP mode': 'active',
+            'Interfaces': [ 'ixgbe1', 'ixgbe2' ]
+        }
+    }
+};
+
+
+// --- Helpers
+
+function get(sim, path, callback) {
+    mod_http.get({
+        host: '127.0.0.1',
+        port: sim.agent.http.address().port,
+        path: path
+    }, function (res) {
+        var body = '';
+
+        res.setEncoding('utf8');
+        res.on('data', function (chunk) {
+            body += chunk;
+        });
+        res.on('end', function () {
+            callback(res.statusCode, body);
+        });
+    });
+}
+
+function getJSON(sim, path, callback) {
+    get(sim, path, function (code, body) {
+        callback(code, JSON.parse(body));
+    });
+}
+
+/*
+ * Find the value of the metric with the given name and labels in the
+ * Prometheus text output, or return null if it's missing.
+ */
+function findMetric(text, name, labels) {
+    var lines = text.split('\n');
+
+    for (var i = 0; i < lines.length; i++) {
+        var m = /^([a-z_]+)\{([^}]*)\} (\S+)$/.exec(lines[i]);
+        if (m === null || m[1] !== name) {
+            continue;
+        }
+
+        var found = true;
+        for (var label in labels) {
+            if (m[2].indexOf(label + '="' + labels[label] + '"') === -1) {
+                found = false;
+                break;
+            }
+        }
+
+        if (found) {
+            return Number(m[3]);
+        }
+    }
+
+    return null;
+}
+
+/*
+ * Create a simulated CN with a VM on it, whose NIC is on a network in NAPI.
+ */
+function createSim() {
+    var sim = new Simulation({
+        sysinfo: SYSINFO,
+        config: { bindip: '127.0.0.1', port: 0 }
+    });
+
+    sim.napi.putNetwork({
+        uuid: NET_UUID,
+        gateway: '10.0.0.1',
+        mtu: 1500,
+        netmask: '255.255.255.0',
+        nic_tag: 'external',
+        vlan_id: 0
+    });
+    sim.napi.putNic({
+        mac: VM_MAC,
+        belongs_to_uuid: VM_UUID,
+        belongs_to_type: 'zone',
+        owner_uuid: sim.admin_uuid,
+        cn_uuid: sim.cn_uuid,
+        ip: '10.0.0.5',
+        network_uuid: NET_UUID,
+        primary: true,
+        state: 'running'
+    });
+
+    sim.vmadm.create({
+        uuid: VM_UUID,
+        owner_uuid: sim.admin_uuid,
+        nics: [ {
+            interface: 'net0',
+            mac: VM_MAC,
+            ip: '10.0.0.5',
+            gateway: '10.0.0.1',
+            netmask: '255.255.255.0',
+            nic_tag: 'external',
+            mtu: 1500,
+            vlan_id: 0,
+            network_uuid: NET_UUID,
+            primary: true
+        } ]
+    });
+    sim.vmadm.flush();
+
+    return sim;
+}
+
+
+// --- Tests
+
+test('kang snapshot lists every tracked FSM', function (t) {
+    var sim = createSim();
+
+    /*
+     * The VM watcher waits a few seconds before passing on the VMs that it
+     * starts with.
+     */
+    sim.start(function () {
+        sim.advance(10 * 1000, getSnapshot);
+    });
+
+    function getSnapshot() {
+        getJSON(sim, '/kang/snapshot', function (code, snap) {
+            t.equal(code, 200, 'snapshot returned');
+            t.equal(snap.service.name, 'net-agent', 'service name');
+            t.equal(snap.service.ident, sim.cn_uuid, 'service ident');
+
+            t.deepEqual(snap.types,
+                [ 'aggr', 'instance', 'network', 'nic', 'server' ],
+                'object types');
+
+            t.deepEqual(Object.keys(snap.aggr), [ 'aggr0' ],
+                'aggregation listed');
+            t.deepEqual(Object.keys(snap.instance), [ VM_UUID ],
+                'instance listed');
+            t.deepEqual(Object.keys(snap.network), [ NET_UUID ],
+                'network listed');
+            t.deepEqual(Object.keys(snap.nic).sort(), [ ADMIN_MAC,
+                '90:b8:d0:00:00:02', '90:b8:d0:00:00:03', VM_MAC ],
+                'NICs listed');
+            t.deepEqual(Object.keys(snap.server), [ sim.cn_uuid ],
+                'server listed');
+
+            var nic = snap.nic[VM_MAC];
+            t.equal(nic.state, 'waiting', 'NIC state');
+            t.ok(Array.isArray(nic.history), 'NIC history');
+
+            t.deepEqual(snap.stats.aggrs, 1, 'aggregations counted');
+            t.deepEqual(snap.stats.insts, 1, 'instances counted');
+            t.deepEqual(snap.stats.nets, 1, 'networks counted');
+            t.deepEqual(snap.stats.nics, 4, 'NICs counted');
+            t.equal(snap.stats.orphan_nics, 0, 'no orphaned NICs');
+            t.equal(snap.stats.napi, 'closed', 'NAPI breaker closed');
+            t.equal(snap.stats.napi_parked_requests, 0,
+                'no parked requests');
+            t.equal(snap.stats.dry_run, false, 'not in dry-run mode');
+            t.equal(snap.stats.reboot_policy, 'always', 'reboot policy');
+            t.equal(snap.stats.route_conflicts, 0, 'no route conflicts');
+            t.equal(snap.stats.state, 'running', 'agent running');
+
+            sim.stop(function () {
+                t.end();
+            });
+        });
+    }
+});
+
+test('metrics count NAPI requests and tracked objects', function (t) {
+    var sim = createSim();
+
+    /*
+     * Fail the first fetch of the network, so that there's a failure
+     * counted alongside the successful retry.
+     */
+    sim.napi.fail({
+        method: 'GET',
+        path: /^\/networks\//,
+        statusCode: 500
+    });
+
+    sim.start(function () {
+        sim.advance(60 * 1000, getMetrics);
+    });
+
+    function getMetrics() {
+        get(sim, '/metrics', function (code, text) {
+            t.equal(code, 200, 'metrics returned');
+
+            t.equal(findMetric(text, 'net_agent_napi_requests_completed', {
+                method: 'getNetwork',
+                code: '500'
+            }), 1, 'failed request counted by method and status');
+            t.ok(findMetric(text, 'net_agent_napi_requests_completed', {
+                method: 'getNetwork',
+                code: '200'
+            }) >= 1, 'successful request counted by method and status');
+            t.ok(findMetric(text, 'net_agent_napi_requests_completed', {
+                method: 'getNic',
+                code: '200'
+            }) >= 1, 'requests counted for each method');
+            t.ok(findMetric(text, 'net_agent_napi_requests_completed', {
+                cn_uuid: sim.cn_uuid
+            }) !== null, 'CN UUID included in labels');
+
+            t.ok(findMetric(text,
+                'net_agent_napi_request_duration_seconds_count', {
+                method: 'getNetwork'
+            }) >= 2, 'latencies observed');
+            t.ok(findMetric(text,
+                'net_agent_napi_request_duration_seconds', {
+                method: 'getNetwork',
+                le: '+Inf'
+            }) >= 2, 'latency histogram buckets');
+
+            t.equal(findMetric(text, 'net_agent_tracked_objects',
+                { type: 'aggrs' }), 1, 'tracked aggregations');
+            t.equal(findMetric(text, 'net_agent_tracked_objects',
+                { type: 'insts' }), 1, 'tracked instances');
+            t.equal(findMetric(text, 'net_agent_tracked_objects',
+                { type: 'nets' }), 1, 'tracked networks');
+            t.equal(findMetric(text, 'net_agent_tracked_objects',
+                { type: 'nics' }), 4, 'tracked NICs');
+
+            sim.stop(function () {
+                t.end();
+            });
+        });
+    }
+});
@@ -0,0 +1,211 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for marking VMs as needing a reboot.
+ */
+
+'use strict';
+
+var InstanceFSM = require('../../lib/inst-fsm');
+var log = require('../lib/log');
+var test = require('tape');
+
+// --- Globals
+
+var CN_UUID = '564d2b8e-4b6b-4d7a-9d2c-2a5e2d6d7e01';
+var VM_UUID = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a01';
+var MAC = '90:b8:d0:c0:ff:ee';
+
+var MARKER_KEY = 'network_reboot_required';
+
+
+// --- Helpers
+
+/*
+ * Create an InstanceFSM for a VM without any NICs, recording the payloads
+ * passed to "vmadm update".
+ */
+function createInst(vm, updates) {
+    var app = {
+        cn_uuid: CN_UUID,
+        log: log,
+        watcher: {
+            refresh: function () {}
+        }
+    };
+
+    var vmadm = {
+        update: function (payload, callback) {
+            delete payload.log;
+            updates.push(payload);
+            setImmediate(callback);
+        }
+    };
+
+    return new InstanceFSM({
+        uuid: VM_UUID,
+        app: app,
+        vm: Object.assign({
+            uuid: VM_UUID,
+            state: 'running',
+            nics: [],
+            routes: {},
+            resolvers: []
+        }, vm),
+        vmadm: vmadm
+    });
+}
+
+function getMarker(payload) {
+    return JSON.parse(payload.set_internal_metadata[MARKER_KEY]);
+}
+
+
+// --- Tests
+
+test('Updating NICs on running VMs marks them', function (t) {
+    var updates = [];
+    var inst = createInst({}, updates);
+
+    inst.updateNIC(MAC, { gateway: '10.0.0.1', vlan_id: 5 }, function (err) {
+        t.ifError(err, 'update NIC');
+
+        var marker = getMarker(updates[0]);
+        t.deepEqual(marker.fields, [ 'gateway', 'vlan_id' ], 'fields');
+        t.deepEqual(marker.reasons, [ 'NIC ' + MAC + ' was updated' ],
+            'reasons');
+        t.ok(marker.time, 'marker has time');
+
+        inst.stop();
+        t.end();
+    });
+});
+
+test('Markers are merged', function (t) {
+    var updates = [];
+    var imd = {};
+
+    imd[MARKER_KEY] = JSON.stringify({
+        time: '2026-01-01T00:00:00.000Z',
+        fields: [ 'ip' ],
+        reasons: [ 'NIC 90:b8:d0:00:00:01 was updated' ]
+    });
+
+    var inst = createInst({ internal_metadata: imd }, updates);
+
+    inst.updateNIC(MAC, { ip: '10.0.0.5', mtu: 9000 }, function (err) {
+        t.ifError(err, 'update NIC');
+
+        var marker = getMarker(updates[0]);
+        t.deepEqual(marker.fields, [ 'ip', 'mtu' ], 'fields merged');
+        t.equal(marker.reasons.length, 2, 'reasons merged');
+
+        inst.stop();
+        t.end();
+    });
+});
+
+test('Stopped VMs and other fields are not marked', function (t) {
+    var updates = [];
+    var stopped = createInst({ state: 'stopped' }, updates);
+    var running = createInst({}, updates);
+
+    stopped.updateNIC(MAC, { gateway: '10.0.0.1' }, function (err) {
+        t.ifError(err, 'update NIC on stopped VM');
+
+        running.updateNIC(MAC, { allow_ip_spoofing: true }, function (err2) {
+            t.ifError(err2, 'update NIC on running VM');
+
+            updates.forEach(function (payload) {
+                t.equal(payload.set_internal_metadata, undefined,
+                    'VM not marked');
+            });
+
+            stopped.stop();
+            running.stop();
+            t.end();
+        });
+    });
+});
+
+test('Markers are removed after a reboot', function (t) {
+    var updates = [];
+    var imd = {};
+
+    imd[MARKER_KEY] = JSON.stringify({
+        time: '2026-01-01T00:00:00.000Z',
+        fields: [ 'ip' ],
+        reasons: [ 'NIC ' + MAC + ' was updated' ]
+    });
+
+    var inst = createInst({
+        boot_timestamp: '2026-01-02T00:00:00.000Z',
+        internal_metadata: imd
+    }, updates);
+
+    inst.on('stateChanged', function (state) {
+        if (state !== 'waiting') {
+            return;
+        }
+
+        t.deepEqual(updates, [ {
+            uuid: VM_UUID,
+            remove_internal_metadata: [ MARKER_KEY ]
+        } ], 'marker removed');
+
+        inst.stop();
+        t.end();
+    });
+});
+
+test('Markers without a time are removed after the next reboot', function (t) {
+    var updates = [];
+    var imd = {};
+
+    imd[MARKER_KEY] = 'mangled';
+
+    var inst = createInst({
+        boot_timestamp: '2026-01-02T00:00:00.000Z',
+        internal_metadata: imd
+    }, updates);
+    var rebooted = false;
+
+    inst.on('stateChanged', function (state) {
+        if (state !== 'waiting') {
+            return;
+        }
+
+        if (!rebooted) {
+            t.deepEqual(updates, [], 'marker kept until the VM reboots');
+            t.ok(inst.vm.reboot_marker.time, 'marker given a time');
+
+            rebooted = true;
+            inst.update({
+                uuid: VM_UUID,
+                state: 'running',
+                boot_timestamp: new Date(Date.now() + 1000).toISOString(),
+                internal_metadata: imd,
+                nics: [],
+                routes: {},
+                resolvers: []
+            });
+            return;
+        }
+
+        t.deepEqual(updates, [ {
+            uuid: VM_UUID,
+            remove_internal_metadata: [ MARKER_KEY ]
+        } ], 'marker removed after the reboot');
+
+        inst.stop();
+        t.end();
+    });
+});
@@ -0,0 +1,316 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for syncing NICs, networks and aggregations with the mock NAPI.
+ */
+
+'use strict';
+
+var AggrFSM = require('../../lib/aggr-fsm');
+var log = require('../lib/log');
+var mod_common = require('../../lib/common');
+var MockNAPI = require('../lib/mock-napi').MockNAPI;
+var NetworkFSM = require('../../lib/net-fsm');
+var NicFSM = require('../../lib/nic-fsm');
+var test = require('tape');
+
+// --- Globals
+
+var ADMIN_UUID = '930896af-bf8c-48d4-885c-6573a94b1853';
+var CN_UUID = '564d2b8e-4b6b-4d7a-9d2c-2a5e2d6d7e01';
+var NET_UUID = 'b4e1f7f6-5d1c-4a8e-9a43-0d2b8e5c6a01';
+var MAC = '90:b8:d0:00:00:01';
+var NIC_PATH = '/nics/90b8d0000001';
+var AGGR_ID = mod_common.formatAggrId(CN_UUID, 'aggr0');
+var AGGR_PATH = '/aggregations/' + encodeURIComponent(AGGR_ID);
+
+var napi = new MockNAPI();
+
+
+// --- Helpers
+
+function createApp() {
+    return {
+        admin_uuid: ADMIN_UUID,
+        cn_uuid: CN_UUID,
+        log: log,
+        napi: napi.createClient(),
+        aggrs: {},
+        nics: {},
+        retryPolicy: new mod_common.RetryPolicy({ min: 10, max: 10 }),
+        cache: {
+            get: function () {
+                return null;
+            },
+            set: function () {},
+            remove: function () {}
+        },
+        server: {
+            refresh: function () {}
+        }
+    };
+}
+
+function physicalNic(fields) {
+    return Object.assign({
+        mac: MAC,
+        belongs_to_uuid: CN_UUID,
+        belongs_to_type: 'server',
+        owner_uuid: ADMIN_UUID,
+        state: 'running',
+        mtu: 1500,
+        link_speed: 10000,
+        nic_tags_provided: [ 'admin' ]
+    }, fields);
+}
+
+function aggr(fields) {
+    return Object.assign({
+        name: 'aggr0',
+        belongs_to_uuid: CN_UUID,
+        lacp_mode: 'active',
+        macs: [ '90:b8:d0:00:00:02', '90:b8:d0:00:00:03' ],
+        nic_tags_provided: [ 'external' ]
+    }, fields);
+}
+
+/*
+ * Read all of the changes published so far.
+ */
+function readFeed() {
+    var changes = [];
+    var change;
+
+    while ((change = napi.feed.read()) !== null) {
+        changes.push(change);
+    }
+
+    return changes;
+}
+
+/*
+ * Call "callback" the next time that "fsm" goes back to waiting.
+ */
+function afterSync(fsm, callback) {
+    fsm.on('stateChanged', function onState(state) {
+        if (state !== 'waiting') {
+            return;
+        }
+
+        fsm.removeListener('stateChanged', onState);
+        callback();
+    });
+}
+
+
+// --- Tests
+
+test('Setup', function (t) {
+    napi.start(function () {
+        t.ok(napi.url, 'mock NAPI listening');
+        t.end();
+    });
+});
+
+test('NIC updates retry after errors and conflicts', function (t) {
+    napi.putNic(physicalNic({ link_speed: undefined }));
+    napi.requests = [];
+    napi.fail({ method: 'GET', path: /^\/nics\//, statusCode: 500 });
+
+    var nic = new NicFSM({
+        mac: MAC,
+        app: createApp()
+    });
+    var conflicted = false;
+
+    /*
+     * Change the NIC in NAPI while our first update is in flight, so that
+     * its etag no longer matches.
+     */
+    nic.on('stateChanged', function (state) {
+        if (state === 'update.napi' && !conflicted) {
+            conflicted = true;
+            napi.putNic(Object.assign({}, napi.nics[MAC], {
+                description: 'changed'
+            }));
+        }
+    });
+
+    nic.setLocal(physicalNic());
+
+    afterSync(nic, function () {
+        t.deepEqual(napi.requests, [
+            'GET ' + NIC_PATH,
+            'GET ' + NIC_PATH,
+            'PUT ' + NIC_PATH,
+            'GET ' + NIC_PATH,
+            'PUT ' + NIC_PATH
+        ], 'refetched after the 500 and the 412');
+        t.equal(napi.nics[MAC].link_speed, 10000, 'link speed pushed');
+        t.equal(napi.nics[MAC].description, 'changed', 'other change kept');
+        t.equal(nic.etag, napi.etags['nics/' + MAC], 'latest etag');
+
+        nic.stop();
+        t.end();
+    });
+});
+
+test('NIC updates are unconditional without an etag', function (t) {
+    napi.sendEtags = false;
+    napi.putNic(physicalNic({ link_speed: undefined }));
+    napi.requests = [];
+
+    var nic = new NicFSM({
+        mac: MAC,
+        app: createApp()
+    });
+
+    nic.setLocal(physicalNic());
+
+    afterSync(nic, function () {
+        t.deepEqual(napi.requests, [
+            'GET ' + NIC_PATH,
+            'PUT ' + NIC_PATH
+        ], 'updated without refetching');
+        t.equal(nic.etag, undefined, 'no etag');
+        t.equal(napi.nics[MAC].link_speed, 10000, 'link speed pushed');
+
+        napi.sendEtags = true;
+        nic.stop();
+        t.end();
+    });
+});
+
+test('Aggregation updates retry after conflicts', function (t) {
+    napi.putAggr(aggr());
+    napi.requests = [];
+
+    var afsm = new AggrFSM({
+        name: 'aggr0',
+        app: createApp()
+    });
+    var conflicted = false;
+
+    afsm.on('stateChanged', function (state) {
+        if (state === 'update.napi' && !conflicted) {
+            conflicted = true;
+            napi.putAggr(Object.assign({}, napi.aggrs[AGGR_ID], {
+                nic_tags_provided: [ 'external', 'internal' ]
+            }));
+        }
+    });
+
+    afsm.setLocal(aggr());
+
+    afterSync(afsm, function () {
+        t.deepEqual(napi.requests, [ 'GET ' + AGGR_PATH ], 'fetched');
+
+        afsm.setLocal(aggr({ lacp_mode: 'passive' }));
+
+        afterSync(afsm, function () {
+            t.deepEqual(napi.requests.slice(1), [
+                'PUT ' + AGGR_PATH,
+                'GET ' + AGGR_PATH,
+                'PUT ' + AGGR_PATH
+            ], 'refetched after the 412');
+            t.equal(napi.aggrs[AGGR_ID].lacp_mode, 'passive',
+                'LACP mode pushed');
+            t.deepEqual(napi.aggrs[AGGR_ID].nic_tags_provided,
+                [ 'external', 'internal' ], 'other change kept');
+            t.equal(afsm.etag, napi.etags['aggrs/' + AGGR_ID],
+                'latest etag');
+
+            afsm.stop();
+            t.end();
+        });
+    });
+});
+
+test('Aggregation updates are unconditional without an etag', function (t) {
+    napi.sendEtags = false;
+    napi.putAggr(aggr());
+    napi.requests = [];
+
+    var afsm = new AggrFSM({
+        name: 'aggr0',
+        app: createApp()
+    });
+
+    afsm.setLocal(aggr());
+
+    afterSync(afsm, function () {
+        afsm.setLocal(aggr({ lacp_mode: 'passive' }));
+
+        afterSync(afsm, function () {
+            t.deepEqual(napi.requests, [
+                'GET ' + AGGR_PATH,
+                'PUT ' + AGGR_PATH
+            ], 'updated without refetching');
+            t.equal(afsm.etag, undefined, 'no etag');
+            t.equal(napi.aggrs[AGGR_ID].lacp_mode, 'passive',
+                'LACP mode pushed');
+
+            napi.sendEtags = true;
+            afsm.stop();
+            t.end();
+        });
+    });
+});
+
+test('Network changes reach the NetworkFSM', function (t) {
+    napi.putNetwork({ uuid: NET_UUID, mtu: 1500, vlan_id: 0 });
+
+    var nfsm = new NetworkFSM({
+        uuid: NET_UUID,
+        app: createApp()
+    });
+
+    afterSync(nfsm, function () {
+        t.equal(nfsm.cur.mtu, 1500, 'network loaded');
+
+        napi.requests = [];
+        nfsm.refresh();
+
+        afterSync(nfsm, function () {
+            t.deepEqual(napi.requests, [ 'GET /networks/' + NET_UUID ],
+                'refetched');
+            t.equal(nfsm.cur.mtu, 1500, 'unchanged network not replaced');
+
+            readFeed();
+            napi.putNetwork({ uuid: NET_UUID, mtu: 9000, vlan_id: 0 });
+
+            var changes = readFeed();
+            t.deepEqual(changes, [ {
+                changeKind: {
+                    resource: 'network',
+                    subResources: [ 'mtu' ]
+                },
+                changedResourceId: NET_UUID
+            } ], 'change published');
+
+            nfsm.on('changed', function () {
+                t.equal(nfsm.cur.mtu, 9000, 'new MTU');
+                t.deepEqual(nfsm.changed, [ 'mtu' ], 'only MTU changed');
+
+                nfsm.stop();
+                t.end();
+            });
+
+            nfsm.refresh(changes[0].changeKind.subResources);
+        });
+    });
+});
+
+test('Teardown', function (t) {
+    napi.stop(function () {
+        t.end();
+    });
+});
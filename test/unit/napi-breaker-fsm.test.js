@@ -0,0 +1,177 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for the circuit breaker around the NAPI client.
+ */
+
+'use strict';
+
+var log = require('../lib/log');
+var mod_common = require('../../lib/common');
+var NapiBreakerFSM = require('../../lib/napi-breaker-fsm');
+var test = require('tape');
+
+// --- Globals
+
+var MAC = '90:b8:d0:c0:ff:ee';
+
+
+// --- Helpers
+
+/*
+ * Create a fake NAPI client whose requests fail while "down" is set.
+ */
+function createNapi() {
+    var napi = {
+        down: true,
+        sent: 0,
+        pings: 0
+    };
+
+    function respond(callback) {
+        setImmediate(function () {
+            if (napi.down) {
+                callback(new Error('connect ECONNREFUSED'));
+                return;
+            }
+
+            callback(null, {}, {}, { statusCode: 200, headers: {} });
+        });
+    }
+
+    mod_common.NAPI_METHODS.forEach(function (method) {
+        napi[method] = function () {
+            napi.sent += 1;
+            respond(arguments[arguments.length - 1]);
+        };
+    });
+
+    napi.ping = function (callback) {
+        napi.pings += 1;
+        respond(callback);
+    };
+
+    return napi;
+}
+
+function createBreaker(napi) {
+    var breaker = new NapiBreakerFSM({
+        app: {
+            log: log,
+            retryPolicy: new mod_common.RetryPolicy({
+                min: 10,
+                max: 10,
+                jitter: 0
+            })
+        },
+        napi: napi
+    });
+
+    breaker.wrap();
+
+    return breaker;
+}
+
+function getNics(napi, count, callback) {
+    var done = 0;
+    var errors = 0;
+
+    function afterGet(err) {
+        if (err) {
+            errors += 1;
+        }
+
+        done += 1;
+        if (done < count) {
+            return;
+        }
+
+        callback(errors);
+    }
+
+    for (var i = 0; i < count; i++) {
+        napi.getNic(MAC, afterGet);
+    }
+}
+
+
+// --- Tests
+
+test('Breaker opens after consecutive failures', function (t) {
+    var napi = createNapi();
+    var breaker = createBreaker(napi);
+
+    getNics(napi, 5, function (errors) {
+        t.equal(errors, 5, 'requests failed');
+        t.ok(breaker.isInState('open'), 'breaker opened');
+
+        getNics(napi, 3, function (errors2) {
+            t.equal(errors2, 0, 'parked requests succeeded');
+            t.equal(napi.sent, 8, 'parked requests sent once');
+            t.ok(napi.pings > 0, 'NAPI pinged');
+            t.ok(breaker.isInState('closed'), 'breaker closed');
+
+            breaker.stop();
+            t.end();
+        });
+
+        setImmediate(function () {
+            t.equal(napi.sent, 5, 'requests parked while open');
+            t.equal(breaker.parked.length, 3, 'three parked requests');
+            napi.down = false;
+        });
+    });
+});
+
+test('Non-server errors do not open the breaker', function (t) {
+    var napi = createNapi();
+    var breaker = createBreaker(napi);
+
+    breaker._record({ statusCode: 404 });
+    breaker._record({ statusCode: 412 });
+
+    for (var i = 0; i < 4; i++) {
+        breaker._record({ statusCode: 503 });
+    }
+
+    breaker._record(null);
+
+    t.equal(breaker.failures, 0, 'failures reset by success');
+    t.ok(!breaker.isInState('open'), 'breaker still closed');
+
+    breaker.stop();
+    t.end();
+});
+
+test('Requests fail once the breaker is stopped', function (t) {
+    var napi = createNapi();
+    var breaker = createBreaker(napi);
+
+    getNics(napi, 5, function () {
+        t.ok(breaker.isInState('open'), 'breaker opened');
+
+        napi.getNic(MAC, function (err) {
+            t.ok(err, 'parked request failed');
+            t.equal(err.message, 'NAPI breaker stopped', 'error message');
+
+            napi.getNic(MAC, function (err2) {
+                t.ok(err2, 'request after stop failed');
+                t.equal(err2.message, 'NAPI breaker stopped',
+                    'error message');
+                t.equal(napi.sent, 5, 'no more requests sent');
+                t.end();
+            });
+        });
+
+        t.equal(breaker.parked.length, 1, 'one parked request');
+        breaker.stop();
+    });
+});
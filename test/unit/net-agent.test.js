@@ -0,0 +1,345 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for the timing of NetAgent's refreshes and retries, using the
+ * simulation harness.
+ */
+
+'use strict';
+
+var Simulation = require('../lib/sim').Simulation;
+var test = require('tape');
+
+// --- Globals
+
+var MAC = '90:b8:d0:00:00:01';
+var NIC_PATH = '/nics/90b8d0000001';
+
+var VM_UUID = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a01';
+var VM_MAC = '90:b8:d0:c0:ff:ee';
+var NET_UUID = 'c8a5bd7e-8c48-4a4c-a0b1-5b7d2e3f4a01';
+
+var NETWORK = {
+    uuid: NET_UUID,
+    gateway: '10.0.0.1',
+    mtu: 1500,
+    netmask: '255.255.255.0',
+    nic_tag: 'external',
+    vlan_id: 0
+};
+
+var MINUTE = 60 * 1000;
+var HOUR = 60 * MINUTE;
+
+
+// --- Helpers
+
+function createSim(config) {
+    var sim = new Simulation({ config: config });
+
+    sim.napi.putNic({
+        mac: MAC,
+        belongs_to_uuid: sim.cn_uuid,
+        belongs_to_type: 'server',
+        owner_uuid: sim.admin_uuid,
+        state: 'running',
+        mtu: 1500,
+        nic_tags_provided: [ 'admin' ]
+    });
+
+    return sim;
+}
+
+/*
+ * Add a VM with a NIC on NETWORK (or "net", which can be a dual-stack
+ * network) to the simulation's CN, and to NAPI.
+ */
+function addVM(sim, net) {
+    net = net || NETWORK;
+
+    var vnic = {
+        interface: 'net0',
+        mac: VM_MAC,
+        ip: '10.0.0.5',
+        gateway: net.gateway,
+        netmask: net.netmask,
+        nic_tag: net.nic_tag,
+        mtu: net.mtu,
+        vlan_id: net.vlan_id,
+        network_uuid: net.uuid,
+        primary: true
+    };
+
+    sim.napi.putNetwork(net);
+    sim.napi.putNic({
+        mac: VM_MAC,
+        belongs_to_uuid: VM_UUID,
+        belongs_to_type: 'zone',
+        owner_uuid: sim.admin_uuid,
+        cn_uuid: sim.cn_uuid,
+        ip: '10.0.0.5',
+        ip6: net.subnet6 ? 'fd00::5' : undefined,
+        network_uuid: net.uuid,
+        primary: true,
+        state: 'running'
+    });
+
+    if (net.subnet6) {
+        vnic.ips = [ '10.0.0.5/24', 'fd00::5/' + net.subnet6.split('/')[1] ];
+        vnic.gateways = [ net.gateway, net.gateway6 ];
+    }
+
+    sim.vmadm.create({
+        uuid: VM_UUID,
+        owner_uuid: sim.admin_uuid,
+        nics: [ vnic ]
+    });
+    sim.vmadm.flush();
+}
+
+function countRequests(sim, request) {
+    return sim.napi.requests.filter(function (req) {
+        return (req === request);
+    }).length;
+}
+
+
+// --- Tests
+
+test('The CN and its NICs are refreshed periodically', function (t) {
+    var sim = createSim({});
+
+    function afterHour(loads) {
+        t.equal(sim.sysinfoLoads - loads, 12,
+            'sysinfo reloaded every 5 minutes');
+        t.equal(countRequests(sim, 'GET ' + NIC_PATH), 1,
+            'NIC refreshed after an hour');
+        t.equal(countRequests(sim, 'GET /nics'), 1,
+            'orphaned NICs swept again after an hour');
+
+        sim.stop(function () {
+            t.end();
+        });
+    }
+
+    sim.start(function () {
+        t.equal(sim.agent.getState(), 'running', 'agent running');
+
+        sim.napi.requests = [];
+
+        sim.advance(MINUTE, function () {
+            var loads = sim.sysinfoLoads;
+
+            t.equal(countRequests(sim, 'GET /nics'), 1,
+                'orphaned NICs swept a minute after starting');
+
+            sim.napi.requests = [];
+            sim.advance(HOUR, afterHour.bind(null, loads));
+        });
+    });
+});
+
+test('Failed NAPI requests are retried with backoff', function (t) {
+    var sim = createSim({ retry: { jitter: 0 } });
+    var nicGets = 'GET ' + NIC_PATH;
+
+    /*
+     * NAPI doesn't have the NIC's link speed yet, so it gets pushed once the
+     * NIC has been fetched.
+     */
+    sim.hostNet.links = {
+        'ixgbe0': { class: 'phys', mtu: 1500, speed: 10000 }
+    };
+
+    sim.napi.fail({
+        method: 'GET',
+        path: /^\/nics\/[0-9a-f]+$/,
+        statusCode: 503,
+        count: 3
+    });
+
+    /*
+     * The first retry is after 5 seconds, and then the delay doubles. Once
+     * the fourth request succeeds and the NIC gets updated, the update comes
+     * back through the changefeed, and the NIC is fetched once more.
+     */
+    var steps = [
+        [ 4999, 1 ],
+        [ 1, 2 ],
+        [ 9999, 2 ],
+        [ 1, 3 ],
+        [ 20 * 1000, 5 ]
+    ];
+
+    function step() {
+        var next = steps.shift();
+
+        if (next === undefined) {
+            t.equal(countRequests(sim, 'PUT ' + NIC_PATH), 1,
+                'NIC updated after the successful retry');
+            t.equal(sim.napi.nics[MAC].link_speed, 10000, 'NIC synced');
+
+            sim.stop(function () {
+                t.end();
+            });
+            return;
+        }
+
+        sim.advance(next[0], function () {
+            t.equal(countRequests(sim, nicGets), next[1],
+                next[1] + ' requests after ' + sim.clock.now + ' ms');
+            step();
+        });
+    }
+
+    sim.start(function () {
+        t.equal(countRequests(sim, nicGets), 1, 'first request failed');
+        step();
+    });
+});
+
+test('Network changes in the changefeed are applied to VMs', function (t) {
+    var sim = createSim({});
+    var net = Object.assign({}, NETWORK);
+
+    addVM(sim);
+
+    /*
+     * Change the network in NAPI, and check that the "changed" fields make it
+     * to the VM well before the network would next be polled.
+     */
+    function change(fields, changed, callback) {
+        Object.assign(net, fields);
+        sim.napi.putNetwork(Object.assign({}, net));
+
+        sim.advance(10 * 1000, function () {
+            var vnic = sim.vmadm.vms[VM_UUID].nics[0];
+            var reason = 'network ' + NET_UUID + ' changed: ' +
+                changed.join(', ');
+
+            t.deepEqual(sim.agent.nets[NET_UUID].changed, changed,
+                'network changes noticed');
+            changed.forEach(function (field) {
+                t.equal(vnic[field], fields[field], field + ' updated on VM');
+            });
+            t.ok(sim.agent.nics[VM_MAC].history.some(function (entry) {
+                return (entry.reason === reason);
+            }), 'NIC refreshed because of the network change');
+
+            callback();
+        });
+    }
+
+    sim.start(function () {
+        sim.advance(MINUTE, function () {
+            change({ mtu: 9000 }, [ 'mtu' ], function () {
+                change({ vlan_id: 5 }, [ 'vlan_id' ], function () {
+                    sim.stop(function () {
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('Running VMs are marked under the "stopped" reboot policy', function (t) {
+    var sim = createSim({ reboot_policy: 'stopped' });
+
+    addVM(sim);
+
+    sim.start(function () {
+        sim.advance(MINUTE, function () {
+            var nfsm = sim.agent.nics[VM_MAC];
+
+            sim.napi.removeNic(VM_MAC);
+
+            sim.advance(10 * 1000, function () {
+                var vm = sim.vmadm.vms[VM_UUID];
+
+                t.deepEqual(vm.nics, [], 'NIC removed from VM');
+                t.deepEqual(sim.vmadm.reboots, [], 'VM not rebooted');
+                t.ok(vm.internal_metadata.network_reboot_required,
+                    'VM marked as needing a reboot');
+                t.ok(nfsm.isInState('stopped'), 'NicFSM finished');
+                t.notOk(sim.agent.nics[VM_MAC], 'NIC no longer tracked');
+                t.ok(nfsm.history.some(function (entry) {
+                    return (entry.reason === 'waiting for VM to be stopped');
+                }), 'reason recorded');
+
+                sim.stop(function () {
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+test('IPv6 network changes are applied to VMs', function (t) {
+    var sim = createSim({});
+    var net = Object.assign({
+        subnet6: 'fd00::/64',
+        gateway6: 'fd00::1'
+    }, NETWORK);
+
+    addVM(sim, net);
+
+    /*
+     * Change the network's IPv6 configuration in NAPI, and check that the
+     * NIC's "ips" and "gateways" get updated on the VM. We then let the
+     * agent see the VM's update, so that it knows what's on the VM.
+     */
+    function change(fields, expected, callback) {
+        Object.assign(net, fields);
+        sim.napi.putNetwork(Object.assign({}, net));
+
+        sim.advance(10 * 1000, function () {
+            var vnic = sim.vmadm.vms[VM_UUID].nics[0];
+
+            t.deepEqual(sim.agent.nets[NET_UUID].changed,
+                Object.keys(fields), 'network changes noticed');
+            t.deepEqual(vnic.ips, expected.ips, 'ips updated on VM');
+            t.deepEqual(vnic.gateways, expected.gateways,
+                'gateways updated on VM');
+
+            sim.vmadm.flush();
+            sim.advance(1000, callback);
+        });
+    }
+
+    sim.start(function () {
+        sim.advance(MINUTE, function () {
+            t.equal(sim.vmadm.updates.length, 0, 'VM already in sync');
+
+            change({ gateway6: 'fd00::fe' }, {
+                ips: [ '10.0.0.5/24', 'fd00::5/64' ],
+                gateways: [ '10.0.0.1', 'fd00::fe' ]
+            }, function () {
+                change({ subnet6: 'fd00::/48' }, {
+                    ips: [ '10.0.0.5/24', 'fd00::5/48' ],
+                    gateways: [ '10.0.0.1', 'fd00::fe' ]
+                }, function () {
+                    var payload = sim.vmadm.updates[
+                        sim.vmadm.updates.length - 1];
+
+                    t.deepEqual(payload.update_nics, [ {
+                        mac: VM_MAC,
+                        ips: [ '10.0.0.5/24', 'fd00::5/48' ]
+                    } ], 'only "ips" sent to vmadm');
+
+                    sim.stop(function () {
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
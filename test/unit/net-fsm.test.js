@@ -0,0 +1,212 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for refreshing networks.
+ */
+
+'use strict';
+
+var log = require('../lib/log');
+var mod_common = require('../../lib/common');
+var MockNAPI = require('../lib/mock-napi').MockNAPI;
+var NetworkFSM = require('../../lib/net-fsm');
+var test = require('tape');
+
+// --- Globals
+
+var NET_UUID = 'b4e1f7f6-5d1c-4a8e-9a43-0d2b8e5c6a01';
+var NET_GET = 'GET /networks/' + NET_UUID;
+
+var napi = new MockNAPI();
+
+
+// --- Helpers
+
+/*
+ * Create a NetworkFSM for NET_UUID, whose cache returns "cached".
+ */
+function createNet(cached) {
+    var app = {
+        log: log,
+        napi: napi.createClient(),
+        retryPolicy: new mod_common.RetryPolicy(),
+        cache: {
+            get: function () {
+                return cached || null;
+            },
+            set: function () {},
+            remove: function () {}
+        }
+    };
+
+    return new NetworkFSM({
+        uuid: NET_UUID,
+        app: app
+    });
+}
+
+function countGets() {
+    return napi.requests.filter(function (request) {
+        return (request === NET_GET);
+    }).length;
+}
+
+
+// --- Tests
+
+test('Setup', function (t) {
+    napi.start(function () {
+        t.ok(napi.url, 'mock NAPI listening');
+        t.end();
+    });
+});
+
+test('Changes during a refresh cause another one', function (t) {
+    napi.putNetwork({ uuid: NET_UUID, mtu: 1500 });
+    napi.requests = [];
+
+    var nfsm = createNet();
+
+    /*
+     * Change the network while our first request is in flight.
+     */
+    napi.onRequest = function (request) {
+        if (request !== NET_GET) {
+            return;
+        }
+
+        napi.onRequest = null;
+        napi.putNetwork({ uuid: NET_UUID, mtu: 9000 });
+        nfsm.refresh([ 'mtu' ]);
+    };
+
+    nfsm.on('changed', function () {
+        t.equal(countGets(), 2, 'network fetched again');
+        t.equal(nfsm.cur.mtu, 9000, 'latest network');
+        t.deepEqual(nfsm.reported, [], 'reported changes cleared');
+
+        nfsm.stop();
+        t.end();
+    });
+});
+
+test('Networks cached before a restart are revalidated', function (t) {
+    napi.putNetwork({ uuid: NET_UUID, mtu: 1500 });
+    napi.requests = [];
+
+    /*
+     * The cached copy of the network differs from NAPI's, so that we can tell
+     * when NAPI has replied with a 304.
+     */
+    var nfsm = createNet({
+        remote: { uuid: NET_UUID, mtu: 1400 },
+        etag: napi.etags['networks/' + NET_UUID]
+    });
+    var changed = 0;
+
+    nfsm.on('changed', function () {
+        changed += 1;
+    });
+
+    function afterChange() {
+        t.equal(changed, 1, 'modified network emits "changed"');
+        t.equal(countGets(), 2, 'network fetched again');
+        t.equal(nfsm.cur.mtu, 9000, 'latest network');
+        t.equal(nfsm.etag, napi.etags['networks/' + NET_UUID],
+            'latest etag');
+
+        nfsm.stop();
+        t.end();
+    }
+
+    function afterRevalidate() {
+        t.equal(countGets(), 1, 'network fetched');
+        t.equal(nfsm.cur.mtu, 1400,
+            'cached network kept, since its etag was sent');
+
+        /*
+         * Give the FSM a chance to emit "changed", if it's going to.
+         */
+        setImmediate(function () {
+            t.equal(changed, 0, 'unmodified network doesn\'t emit "changed"');
+
+            napi.putNetwork({ uuid: NET_UUID, mtu: 9000 });
+            nfsm.on('changed', afterChange);
+            nfsm.refresh([ 'mtu' ]);
+        });
+    }
+
+    nfsm.on('stateChanged', function onState(state) {
+        if (state === 'waiting') {
+            nfsm.removeListener('stateChanged', onState);
+            afterRevalidate();
+        }
+    });
+});
+
+test('"changed" is only emitted for fields that changed', function (t) {
+    var net = { uuid: NET_UUID, gateway: '10.0.0.1', mtu: 1500 };
+    var changed = [];
+
+    napi.putNetwork(net);
+    napi.requests = [];
+
+    var nfsm = createNet();
+
+    nfsm.on('changed', function () {
+        changed.push(nfsm.changed);
+    });
+
+    /*
+     * Call "callback" once the NetworkFSM is waiting after its "n"th fetch,
+     * and has had a chance to emit "changed" (which it does with a timer set
+     * on entering "waiting", so ours goes off after it).
+     */
+    function afterGet(n, callback) {
+        nfsm.on('stateChanged', function onState(state) {
+            if (state !== 'waiting' || countGets() < n ||
+                !nfsm.isInState('waiting')) {
+                return;
+            }
+
+            nfsm.removeListener('stateChanged', onState);
+            setTimeout(callback, 0);
+        });
+    }
+
+    afterGet(1, function () {
+        t.equal(changed.length, 1, 'new network emits "changed"');
+
+        napi.putNetwork(Object.assign({}, net, { mtu: 9000 }));
+        nfsm.refresh([ 'gateway', 'mtu' ]);
+
+        afterGet(2, function () {
+            t.deepEqual(changed[1], [ 'mtu' ], 'only the MTU changed');
+
+            nfsm.refresh([ 'gateway' ]);
+
+            afterGet(3, function () {
+                t.equal(changed.length, 2,
+                    'reported but unchanged field doesn\'t emit "changed"');
+                t.deepEqual(nfsm.changed, [], 'nothing changed');
+
+                nfsm.stop();
+                t.end();
+            });
+        });
+    });
+});
+
+test('Teardown', function (t) {
+    napi.stop(function () {
+        t.end();
+    });
+});
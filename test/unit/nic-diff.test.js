@@ -0,0 +1,409 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for comparing NICs, including generative tests that compare randomly
+ * generated pairs of NICs. The generator uses a fixed seed, so that runs are
+ * repeatable; setting $NIC_DIFF_SEED tries a different one (failures report
+ * the seed that they were found with).
+ */
+
+'use strict';
+
+var mod_jsprim = require('jsprim');
+var mod_nicdiff = require('../../lib/nic-diff');
+var test = require('tape');
+
+// --- Globals
+
+var boolFromVal = mod_nicdiff.boolFromVal;
+var getDifferences = mod_nicdiff.getDifferences;
+
+var DEFAULT_SEED = 20190408;
+
+var SEED = process.env.NIC_DIFF_SEED ?
+    Number(process.env.NIC_DIFF_SEED) : DEFAULT_SEED;
+
+/*
+ * How many pairs of NICs to compare for each property.
+ */
+var ITERATIONS = 1000;
+
+/*
+ * How many counterexamples to report when a property fails.
+ */
+var MAX_FAILURES = 3;
+
+var FLAG_VALUES = [ true, false, 'true', 'false', '1', '0', null, undefined ];
+
+/*
+ * The values to pick from for each of the fields that NicFSM compares. The
+ * "ip", "netmask" and "gateway" fields are generated separately, since vmadm
+ * and NAPI derive them from "ips" and "gateways" when those are present.
+ */
+var FIELD_VALUES = {
+    allow_dhcp_spoofing: FLAG_VALUES,
+    allow_ip_spoofing: FLAG_VALUES,
+    allow_mac_spoofing: FLAG_VALUES,
+    allow_restricted_traffic: FLAG_VALUES,
+    allow_unfiltered_promisc: FLAG_VALUES,
+    belongs_to_type: [ 'zone', 'server', 'other', undefined ],
+    belongs_to_uuid: [
+        '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a01',
+        '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a02',
+        undefined
+    ],
+    cn_uuid: [ '564d2b8e-4b6b-4d7a-9d2c-2a5e2d6d7e01', undefined ],
+    link_speed: [ 1000, 10000, undefined ],
+    model: [ 'virtio', 'e1000', undefined ],
+    mtu: [ 1500, 9000, undefined ],
+    network_uuid: [ 'c8a5bd7e-8c48-4a4c-a0b1-5b7d2e3f4a01', null, undefined ],
+    nic_tag: [ 'external', 'sdc_overlay/4151538', undefined ],
+    owner_uuid: [ '930896af-bf8c-48d4-885c-6573a94b1853', undefined ],
+    primary: [ true, false, undefined ],
+    state: [ 'running', 'provisioning', 'stopped', undefined ],
+    underlay: [ true, false, undefined ],
+    vlan_id: [ 0, 5, undefined ]
+};
+
+var IPS = [ '10.0.0.5/24', '10.0.1.7/25', 'fd00::5/64', 'dhcp', 'addrconf' ];
+var GATEWAYS = [ '10.0.0.1', '10.0.1.1', 'fd00::1' ];
+var NIC_TAGS = [ 'admin', 'external', 'internal' ];
+var LEGACY_IPS = [ '10.0.2.9', '10.0.3.9', undefined ];
+var LEGACY_NETMASKS = [ '255.255.255.0', '255.255.0.0', undefined ];
+
+var FIELDS = Object.keys(FIELD_VALUES).concat([
+    'gateway',
+    'gateways',
+    'ip',
+    'ips',
+    'netmask',
+    'nic_tags_provided'
+]).sort();
+
+
+// --- Helpers
+
+/*
+ * A small seeded PRNG (mulberry32), returning numbers in [0, 1).
+ */
+function createRandom(seed) {
+    var state = seed >>> 0;
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function pick(random, values) {
+    return values[Math.floor(random() * values.length)];
+}
+
+/*
+ * Pick a random subset of "values", in a random order.
+ */
+function subset(random, values) {
+    var result = values.filter(function () {
+        return (random() < 0.5);
+    });
+
+    for (var i = result.length - 1; i > 0; i--) {
+        var j = Math.floor(random() * (i + 1));
+        var tmp = result[i];
+        result[i] = result[j];
+        result[j] = tmp;
+    }
+
+    return result;
+}
+
+function isIPv4(addr) {
+    return (addr.indexOf('.') !== -1);
+}
+
+function prefixToNetmask(bits) {
+    var octets = [];
+
+    for (var i = 0; i < 4; i++) {
+        var n = Math.min(8, Math.max(0, bits - (i * 8)));
+        octets.push(256 - Math.pow(2, 8 - n));
+    }
+
+    return octets.join('.');
+}
+
+/*
+ * Like vmadm and NAPI, derive a NIC's "ip" and "netmask" from the first IPv4
+ * address in its "ips", and its "gateway" from the first IPv4 gateway in its
+ * "gateways" (when those are in "from").
+ */
+function deriveAddrs(nic, from) {
+    if (Array.isArray(from.ips)) {
+        var addr = nic.ips.filter(function (ip) {
+            return (ip !== 'dhcp' && ip !== 'addrconf' && isIPv4(ip));
+        })[0];
+
+        delete nic.ip;
+        delete nic.netmask;
+
+        if (addr !== undefined) {
+            nic.ip = addr.split('/')[0];
+            nic.netmask = prefixToNetmask(Number(addr.split('/')[1]));
+        }
+    }
+
+    if (Array.isArray(from.gateways)) {
+        var gw = nic.gateways.filter(isIPv4)[0];
+
+        delete nic.gateway;
+
+        if (gw !== undefined) {
+            nic.gateway = gw;
+        }
+    }
+}
+
+function generateNic(random) {
+    var nic = {};
+
+    function set(field, values) {
+        var value = pick(random, values);
+
+        if (value !== undefined) {
+            nic[field] = value;
+        }
+    }
+
+    mod_jsprim.forEachKey(FIELD_VALUES, function (field, values) {
+        set(field, values);
+    });
+
+    if (random() < 0.7) {
+        nic.ips = subset(random, IPS);
+    } else {
+        set('ip', LEGACY_IPS);
+        set('netmask', LEGACY_NETMASKS);
+    }
+
+    if (random() < 0.7) {
+        nic.gateways = subset(random, GATEWAYS);
+    } else {
+        set('gateway', GATEWAYS.concat([ undefined ]));
+    }
+
+    if (random() < 0.5) {
+        nic.nic_tags_provided = subset(random, NIC_TAGS);
+    }
+
+    deriveAddrs(nic, nic);
+
+    return nic;
+}
+
+/*
+ * Apply an update computed by getDifferences(), the way vmadm or NAPI would.
+ */
+function applyUpdate(nic, update) {
+    var updated = Object.assign(mod_jsprim.deepCopy(nic),
+        mod_jsprim.deepCopy(update));
+
+    deriveAddrs(updated, update);
+
+    return updated;
+}
+
+/*
+ * Check that "prop" holds for ITERATIONS random pairs of NICs, compared on a
+ * random selection of fields. "prop" returns a description of what went
+ * wrong, or null.
+ */
+function checkProperty(t, name, prop) {
+    var random = createRandom(SEED);
+    var failures = [];
+
+    for (var i = 0; i < ITERATIONS && failures.length < MAX_FAILURES; i++) {
+        var fields = random() < 0.5 ? FIELDS : subset(random, FIELDS);
+        var cur = generateNic(random);
+        var old = generateNic(random);
+        var problem = prop(fields, cur, old);
+
+        if (problem !== null) {
+            failures.push({
+                iteration: i,
+                problem: problem,
+                fields: fields,
+                cur: cur,
+                old: old
+            });
+        }
+    }
+
+    t.deepEqual(failures, [], name + ' (seed ' + SEED + ')');
+}
+
+
+// --- Tests
+
+test('boolFromVal()', function (t) {
+    t.equal(boolFromVal(true), true, 'true');
+    t.equal(boolFromVal('true'), true, '"true"');
+    t.equal(boolFromVal('1'), true, '"1"');
+    t.equal(boolFromVal(false), false, 'false');
+    t.equal(boolFromVal('false'), false, '"false"');
+    t.equal(boolFromVal('0'), false, '"0"');
+    t.equal(boolFromVal(null), false, 'null');
+    t.equal(boolFromVal(undefined), false, 'undefined');
+
+    FLAG_VALUES.forEach(function (value) {
+        var b = boolFromVal(value);
+
+        t.equal(boolFromVal(b), b, 'idempotent for ' + JSON.stringify(value));
+    });
+
+    t.end();
+});
+
+test('getDifferences()', function (t) {
+    t.deepEqual(getDifferences([ 'allow_ip_spoofing', 'allow_mac_spoofing' ],
+        { allow_ip_spoofing: 'true', allow_mac_spoofing: '0' },
+        { allow_ip_spoofing: true }), {},
+        'anti-spoofing flags compared as booleans');
+
+    t.deepEqual(getDifferences([ 'allow_dhcp_spoofing' ],
+        { allow_dhcp_spoofing: '1' }, { allow_dhcp_spoofing: 'false' }),
+        { allow_dhcp_spoofing: true }, 'anti-spoofing flags sent as booleans');
+
+    t.deepEqual(getDifferences([ 'primary' ], { primary: false },
+        { primary: true }), {}, 'primary not set to false');
+
+    t.deepEqual(getDifferences([ 'primary' ], { primary: true },
+        { primary: false }), { primary: true }, 'primary set to true');
+
+    t.deepEqual(getDifferences([ 'mtu', 'model' ], { mtu: 9000 },
+        { mtu: 1500, model: 'virtio' }), { mtu: 9000 },
+        'missing fields skipped');
+
+    t.deepEqual(getDifferences([ 'ip', 'ips', 'netmask' ],
+        { ip: '10.0.0.6', netmask: '255.255.255.0', ips: [ '10.0.0.6/24' ] },
+        { ip: '10.0.0.5', netmask: '255.255.255.0',
+            ips: [ '10.0.0.5/24', 'addrconf' ] }),
+        { ips: [ '10.0.0.6/24', 'addrconf' ] },
+        '"ips" replaces "ip", and keeps keywords');
+
+    t.deepEqual(getDifferences([ 'ips' ],
+        { ips: [ '10.0.0.6/24', 'addrconf' ] },
+        { ips: [ '10.0.0.5/24', 'addrconf', 'dhcp' ] }),
+        { ips: [ '10.0.0.6/24', 'addrconf', 'dhcp' ] },
+        'keywords in both aren\'t repeated');
+
+    t.deepEqual(getDifferences(
+        [ 'gateway', 'gateways', 'ip', 'ips', 'netmask' ],
+        { ip: '10.0.0.9', netmask: '255.255.0.0', gateway: '10.0.0.254',
+            ips: [ '10.0.0.6/24', 'fd00::6/64' ],
+            gateways: [ '10.0.0.1', 'fd00::1' ] },
+        { ip: '10.0.0.6', netmask: '255.255.255.0', gateway: '10.0.0.1',
+            ips: [ '10.0.0.6/24', 'fd00::6/64' ],
+            gateways: [ '10.0.0.1', 'fd00::1' ] }), {},
+        'stale "ip", "netmask" and "gateway" dropped');
+
+    t.deepEqual(getDifferences([ 'nic_tags_provided' ],
+        { nic_tags_provided: [ 'external', 'admin' ] },
+        { nic_tags_provided: [ 'admin', 'external' ] }), {},
+        'order of NIC tags ignored');
+
+    t.end();
+});
+
+test('getDifferences() converges', function (t) {
+    checkProperty(t, 'no differences after applying update',
+        function (fields, cur, old) {
+        var update = getDifferences(fields, cur, old);
+        var after = getDifferences(fields, cur, applyUpdate(old, update));
+
+        return (mod_jsprim.isEmpty(after) ? null : {
+            update: update,
+            after: after
+        });
+    });
+
+    checkProperty(t, 'no differences between a NIC and itself',
+        function (fields, cur) {
+        var update = getDifferences(fields, cur, mod_jsprim.deepCopy(cur));
+
+        return (mod_jsprim.isEmpty(update) ? null : { update: update });
+    });
+
+    t.end();
+});
+
+test('getDifferences() only produces valid updates', function (t) {
+    checkProperty(t, 'updates are well-formed', function (fields, cur, old) {
+        var update = getDifferences(fields, cur, old);
+        var problems = [];
+
+        mod_jsprim.forEachKey(update, function (field, value) {
+            if (fields.indexOf(field) === -1) {
+                problems.push(field + ' was not compared');
+            }
+
+            if (value === undefined) {
+                problems.push(field + ' is undefined');
+            }
+
+            if (mod_nicdiff.ANTI_SPOOF_FIELDS.indexOf(field) !== -1 &&
+                typeof (value) !== 'boolean') {
+                problems.push(field + ' is not a boolean');
+            }
+        });
+
+        if (mod_jsprim.hasKey(update, 'primary') && update.primary !== true) {
+            problems.push('primary is not true');
+        }
+
+        if (Array.isArray(update.ips) && update.ips.some(function (ip, i) {
+            return (update.ips.indexOf(ip) !== i);
+        })) {
+            problems.push('"ips" has duplicates');
+        }
+
+        if (mod_jsprim.hasKey(update, 'ips') &&
+            (mod_jsprim.hasKey(update, 'ip') ||
+            mod_jsprim.hasKey(update, 'netmask'))) {
+            problems.push('both "ips" and "ip" or "netmask" sent');
+        }
+
+        if (mod_jsprim.hasKey(update, 'gateways') &&
+            mod_jsprim.hasKey(update, 'gateway')) {
+            problems.push('both "gateways" and "gateway" sent');
+        }
+
+        if (mod_jsprim.hasKey(update, 'ips') && Array.isArray(old.ips)) {
+            old.ips.forEach(function (ip) {
+                if ((ip === 'dhcp' || ip === 'addrconf') &&
+                    update.ips.indexOf(ip) === -1) {
+                    problems.push('keyword ' + ip + ' dropped from "ips"');
+                }
+            });
+        }
+
+        return (problems.length === 0 ? null : {
+            update: update,
+            problems: problems
+        });
+    });
+
+    t.end();
+});
@@ -0,0 +1,300 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for syncing the CN's physical NICs and VMs' fabric NICs with NAPI.
+ */
+
+'use strict';
+
+var log = require('../lib/log');
+var mod_common = require('../../lib/common');
+var MockNAPI = require('../lib/mock-napi').MockNAPI;
+var NicFSM = require('../../lib/nic-fsm');
+var test = require('tape');
+
+// --- Globals
+
+var ADMIN_UUID = '930896af-bf8c-48d4-885c-6573a94b1853';
+var CN_UUID = '564d2b8e-4b6b-4d7a-9d2c-2a5e2d6d7e01';
+var VM_UUID = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a01';
+var MAC = '90:b8:d0:00:00:01';
+var NIC_PATH = '/nics/90b8d0000001';
+
+var napi = new MockNAPI();
+
+/*
+ * The fake InstanceFSMs for the VMs that the NICs belong to, by UUID.
+ */
+var insts = {};
+
+
+// --- Helpers
+
+/*
+ * Create a NicFSM for the NIC with MAC (which the test puts in the mock NAPI
+ * first, along with any VM it belongs to in "insts"), and record the updates
+ * sent to it. If "cached" is given, it's what the state cache has for the NIC
+ * from before a restart. The GET requests for the NIC are recorded in "gets",
+ * if given.
+ */
+function createNic(updates, cached, gets) {
+    napi.onRequest = function (request, body) {
+        if (request === 'PUT ' + NIC_PATH) {
+            delete body.check_owner;
+            updates.push(body);
+        } else if (request === 'GET ' + NIC_PATH && gets) {
+            gets.push(request);
+        }
+    };
+
+    var app = {
+        admin_uuid: ADMIN_UUID,
+        cn_uuid: CN_UUID,
+        log: log,
+        napi: napi.createClient(),
+        nics: {},
+        insts: insts,
+        retryPolicy: new mod_common.RetryPolicy(),
+        cache: {
+            get: function () {
+                return cached || null;
+            },
+            set: function () {},
+            remove: function () {}
+        },
+        server: {
+            refresh: function () {}
+        }
+    };
+
+    return new NicFSM({
+        mac: MAC,
+        app: app
+    });
+}
+
+function physicalNic(fields) {
+    return Object.assign({
+        belongs_to_uuid: CN_UUID,
+        belongs_to_type: 'server',
+        owner_uuid: ADMIN_UUID,
+        state: 'running',
+        mtu: 1500,
+        link_speed: 10000,
+        nic_tags_provided: [ 'admin', 'sdc_underlay' ]
+    }, fields);
+}
+
+function fabricNic(fields) {
+    return Object.assign({
+        belongs_to_uuid: VM_UUID,
+        belongs_to_type: 'zone',
+        cn_uuid: CN_UUID,
+        owner_uuid: ADMIN_UUID,
+        primary: true,
+        state: 'running',
+        ip: '192.168.128.5',
+        netmask: '255.255.252.0',
+        mtu: 8500,
+        nic_tag: 'sdc_overlay/4151538',
+        vlan_id: 2
+    }, fields);
+}
+
+/*
+ * Create a fake InstanceFSM for VM_UUID, which applies the updates made to
+ * "nic" (and records them in "updates"), like the VM's would be once vmadm
+ * has updated it.
+ */
+function createInst(nic, updates) {
+    var local = fabricNic();
+
+    insts[VM_UUID] = {
+        uuid: VM_UUID,
+        updateNIC: function (_mac, update, callback) {
+            updates.push(update);
+            Object.assign(local, update);
+            delete local.mac;
+
+            setImmediate(function () {
+                nic.setLocal(Object.assign({}, local));
+                callback();
+            });
+        },
+        refresh: function () {}
+    };
+
+    nic.setLocal(Object.assign({}, local));
+}
+
+/*
+ * Call "callback" once the NicFSM is waiting, after "count" requests have been
+ * recorded in "requests" (the mock NAPI's "updates" or "gets").
+ */
+function afterSync(nic, requests, count, callback) {
+    function onState(state) {
+        if (state !== 'waiting' || requests.length < count ||
+            !nic.isInState('waiting')) {
+            return;
+        }
+
+        nic.removeListener('stateChanged', onState);
+        callback();
+    }
+
+    nic.on('stateChanged', onState);
+}
+
+
+// --- Tests
+
+test('Setup', function (t) {
+    napi.start(function () {
+        t.ok(napi.url, 'mock NAPI listening');
+        t.end();
+    });
+});
+
+test('Physical NIC changes are pushed, and drift reported', function (t) {
+    var updates = [];
+
+    napi.putNic(Object.assign({ mac: MAC }, physicalNic({
+        mtu: 9000,
+        link_speed: undefined,
+        nic_tags_provided: [ 'sdc_underlay', 'admin', 'external' ]
+    })));
+
+    var nic = createNic(updates);
+
+    nic.setLocal(physicalNic());
+
+    afterSync(nic, updates, 1, function () {
+        t.deepEqual(updates, [ { link_speed: 10000 } ],
+            'missing link speed pushed');
+        t.deepEqual(Object.keys(nic.drift).sort(),
+            [ 'mtu', 'nic_tags_provided' ], 'drift reported');
+
+        nic.setLocal(physicalNic({
+            nic_tags_provided: [ 'external', 'sdc_underlay' ]
+        }));
+
+        afterSync(nic, updates, 2, function () {
+            t.deepEqual(updates[1], {
+                nic_tags_provided: [ 'external', 'sdc_underlay' ]
+            }, 'changed NIC tags pushed');
+            t.deepEqual(Object.keys(nic.drift), [ 'mtu' ], 'MTU still drifted');
+            t.equal(nic.local.mtu, 1500, 'local MTU left alone');
+
+            nic.stop();
+            t.end();
+        });
+    });
+});
+
+test('NICs cached before a restart are revalidated', function (t) {
+    var gets = [];
+    var updates = [];
+
+    napi.putNic(Object.assign({ mac: MAC }, physicalNic()));
+
+    /*
+     * The cached copy of the NIC differs from NAPI's, so that we can tell
+     * when NAPI has replied with a 304.
+     */
+    var etag = napi.etags['nics/' + MAC];
+    var nic = createNic(updates, {
+        remote: Object.assign({ mac: MAC }, physicalNic({ mtu: 9000 })),
+        etag: etag
+    }, gets);
+
+    nic.setLocal(physicalNic());
+
+    afterSync(nic, gets, 1, function () {
+        t.equal(nic.remote.mtu, 9000,
+            'cached NIC used, since its etag was sent');
+        t.equal(nic.etag, etag, 'cached etag kept');
+        t.deepEqual(updates, [], 'nothing pushed to NAPI');
+
+        /*
+         * Once we have our own copy of the NIC, we fetch it in full.
+         */
+        nic.refresh();
+
+        afterSync(nic, gets, 2, function () {
+            t.equal(nic.remote.mtu, 1500,
+                'later refreshes are unconditional');
+
+            nic.stop();
+            t.end();
+        });
+    });
+});
+
+test('Fabric NICs get their NIC tag from their virtual network', function (t) {
+    var updates = [];
+    var vmUpdates = [];
+    var remote = Object.assign({ mac: MAC }, fabricNic({
+        fabric: true,
+        nic_tag: 'sdc_overlay',
+        vnet_id: 4151538
+    }));
+
+    napi.putNic(remote);
+
+    var nic = createNic(updates);
+    createInst(nic, vmUpdates);
+
+    /*
+     * Change the NIC in NAPI, and check that the change (with the NIC tag
+     * for its virtual network) gets pushed to the VM.
+     */
+    function change(fields, expected, callback) {
+        Object.assign(remote, fields);
+        napi.putNic(remote);
+        nic.refresh();
+
+        afterSync(nic, vmUpdates, vmUpdates.length + 1, function () {
+            t.deepEqual(vmUpdates[vmUpdates.length - 1],
+                Object.assign({ mac: MAC }, expected), 'VM NIC updated');
+            t.equal(nic.fabric.vnet_id, remote.vnet_id, 'virtual network');
+
+            callback();
+        });
+    }
+
+    afterSync(nic, vmUpdates, 0, function () {
+        t.deepEqual(vmUpdates, [], 'NIC tag matches the virtual network\'s');
+        t.deepEqual(nic.fabric, {
+            fabric: true,
+            gateway_provisioned: undefined,
+            internet_nat: undefined,
+            vnet_id: 4151538
+        }, 'fabric properties');
+
+        change({ vnet_id: 4151539 }, {
+            nic_tag: 'sdc_overlay/4151539'
+        }, function () {
+            change({ vlan_id: 3 }, { vlan_id: 3 }, function () {
+                t.deepEqual(updates, [], 'nothing pushed to NAPI');
+
+                delete insts[VM_UUID];
+                nic.stop();
+                t.end();
+            });
+        });
+    });
+});
+
+test('Teardown', function (t) {
+    napi.stop(function () {
+        t.end();
+    });
+});
@@ -0,0 +1,139 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for detecting NICs in NAPI whose VMs aren't on this CN.
+ */
+
+'use strict';
+
+var log = require('../lib/log');
+var OrphanFSM = require('../../lib/orphan-fsm');
+var test = require('tape');
+
+// --- Globals
+
+var CN_UUID = '564d2b8e-4b6b-4d7a-9d2c-2a5e2d6d7e01';
+var LOCAL_VM = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a01';
+var GONE_VM = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a02';
+var HIDDEN_VM = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a03';
+
+var NICS = [
+    {
+        mac: '90:b8:d0:00:00:01',
+        belongs_to_uuid: LOCAL_VM,
+        belongs_to_type: 'zone',
+        cn_uuid: CN_UUID,
+        state: 'running'
+    },
+    {
+        mac: '90:b8:d0:00:00:02',
+        belongs_to_uuid: GONE_VM,
+        belongs_to_type: 'zone',
+        cn_uuid: CN_UUID,
+        state: 'running'
+    },
+    {
+        mac: '90:b8:d0:00:00:03',
+        belongs_to_uuid: GONE_VM,
+        belongs_to_type: 'zone',
+        cn_uuid: CN_UUID,
+        state: 'provisioning'
+    },
+    {
+        mac: '90:b8:d0:00:00:04',
+        belongs_to_uuid: HIDDEN_VM,
+        belongs_to_type: 'zone',
+        cn_uuid: CN_UUID,
+        state: 'stopped'
+    }
+];
+
+
+// --- Helpers
+
+function createApp(released) {
+    var insts = {};
+    var ignoredVMs = {};
+
+    insts[LOCAL_VM] = {};
+    ignoredVMs[HIDDEN_VM] = true;
+
+    return {
+        cn_uuid: CN_UUID,
+        log: log,
+        insts: insts,
+        ignoredVMs: ignoredVMs,
+        watchNic: function (mac) {
+            return {
+                releaseFrom: function (belongs_to_uuid) {
+                    released.push([ mac, belongs_to_uuid ]);
+                }
+            };
+        }
+    };
+}
+
+
+// --- Tests
+
+test('Orphans are only flagged when not releasing', function (t) {
+    var released = [];
+    var sweeper = new OrphanFSM({
+        app: createApp(released),
+        release: false
+    });
+
+    sweeper._sweep(NICS);
+    sweeper._sweep(NICS);
+
+    t.deepEqual(Object.keys(sweeper.orphans), [ '90:b8:d0:00:00:02' ],
+        'only the running NIC of the missing VM is orphaned');
+    t.deepEqual(released, [], 'no NICs released');
+    t.end();
+});
+
+test('Orphans are released after two sweeps', function (t) {
+    var released = [];
+    var sweeper = new OrphanFSM({
+        app: createApp(released),
+        release: true
+    });
+
+    sweeper._sweep(NICS);
+    t.deepEqual(released, [], 'no NICs released after first sweep');
+
+    sweeper._sweep(NICS);
+    t.deepEqual(released, [ [ '90:b8:d0:00:00:02', GONE_VM ] ],
+        'orphaned NIC released after second sweep');
+
+    sweeper._sweep([]);
+    t.deepEqual(sweeper.orphans, {}, 'orphan list reset');
+    t.end();
+});
+
+test('Orphans aren\'t released in dry-run mode', function (t) {
+    var released = [];
+    var app = createApp(released);
+    var sweeper = new OrphanFSM({
+        app: app,
+        release: true
+    });
+
+    app.dryRun = true;
+
+    sweeper._sweep(NICS);
+    sweeper._sweep(NICS);
+
+    t.deepEqual(Object.keys(sweeper.orphans), [ '90:b8:d0:00:00:02' ],
+        'orphaned NIC still flagged');
+    t.deepEqual(released, [], 'no NICs released');
+    t.end();
+});
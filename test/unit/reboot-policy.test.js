@@ -0,0 +1,111 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for deciding when VMs get rebooted.
+ */
+
+'use strict';
+
+var RebootPolicy = require('../../lib/reboot-policy');
+var test = require('tape');
+
+// --- Globals
+
+var RUNNING = { state: 'running', no_nic_reboot: false };
+var STOPPED = { state: 'stopped', no_nic_reboot: false };
+var OPTED_OUT = { state: 'running', no_nic_reboot: true };
+
+var MIDNIGHT = new Date('2026-01-01T00:00:00Z');
+var NOON = new Date('2026-01-01T12:00:00Z');
+
+var HOUR = 60 * 60 * 1000;
+
+var INVALID_WINDOWS = [
+    '2:00',
+    '25:00-01:00',
+    '02:00-02:00',
+    '02:60-03:00'
+];
+
+
+// --- Helpers
+
+function action(policy, vm, now) {
+    return policy.evaluate(vm, now || NOON).action;
+}
+
+
+// --- Tests
+
+test('Simple policies', function (t) {
+    var always = new RebootPolicy();
+    var never = new RebootPolicy({ policy: 'never' });
+    var defer = new RebootPolicy({ policy: 'defer' });
+    var stopped = new RebootPolicy({ policy: 'stopped' });
+
+    t.equal(always.policy, 'always', 'default policy');
+    t.equal(action(always, RUNNING), 'reboot', 'always reboots');
+    t.equal(action(never, RUNNING), 'skip', 'never skips');
+    t.equal(action(defer, RUNNING), 'mark', 'defer marks');
+    t.equal(action(stopped, RUNNING), 'wait', 'waits for running VM');
+    t.equal(action(stopped, STOPPED), 'skip', 'skips stopped VM');
+
+    t.equal(action(always, OPTED_OUT), 'mark', 'opted out VM is marked');
+
+    t.end();
+});
+
+test('Maintenance windows', function (t) {
+    var policy = new RebootPolicy({
+        policy: 'window',
+        window: '02:00-04:00'
+    });
+
+    t.deepEqual(policy.evaluate(RUNNING, MIDNIGHT), {
+        action: 'wait',
+        delay: 2 * HOUR,
+        reason: 'waiting for maintenance window'
+    }, 'waits until window opens');
+
+    t.equal(action(policy, RUNNING,
+        new Date('2026-01-01T03:00:00Z')), 'reboot', 'reboots within window');
+
+    t.equal(policy.windowDelay(new Date('2026-01-01T04:00:00Z')), 22 * HOUR,
+        'window end is exclusive');
+
+    var wrapped = new RebootPolicy({
+        policy: 'window',
+        window: '23:00-01:00'
+    });
+
+    t.equal(wrapped.windowDelay(MIDNIGHT), 0, 'window wraps midnight');
+    t.equal(wrapped.windowDelay(NOON), 11 * HOUR, 'waits for wrapped window');
+
+    t.end();
+});
+
+test('Invalid configurations', function (t) {
+    t.throws(function () {
+        return new RebootPolicy({ policy: 'sometimes' });
+    }, /unknown reboot policy/, 'unknown policy');
+
+    t.throws(function () {
+        return new RebootPolicy({ policy: 'window' });
+    }, /requires a window/, 'missing window');
+
+    INVALID_WINDOWS.forEach(function (str) {
+        t.throws(function () {
+            return new RebootPolicy({ policy: 'window', window: str });
+        }, /invalid reboot window/, 'invalid window ' + str);
+    });
+
+    t.end();
+});
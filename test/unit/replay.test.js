@@ -0,0 +1,213 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for capturing NetAgent's inputs, and replaying them.
+ */
+
+'use strict';
+
+var log = require('../lib/log');
+var mod_capture = require('../../lib/capture');
+var mod_fs = require('fs');
+var mod_jsprim = require('jsprim');
+var mod_os = require('os');
+var mod_path = require('path');
+var Replay = require('../lib/replay').Replay;
+var Simulation = require('../lib/sim').Simulation;
+var test = require('tape');
+
+// --- Globals
+
+var VM_UUID = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a01';
+var NET_UUID = 'c8a5bd7e-8c48-4a4c-a0b1-5b7d2e3f4a01';
+var MAC = '90:b8:d0:c0:ff:ee';
+
+var NETWORK = {
+    uuid: NET_UUID,
+    gateway: '10.0.0.1',
+    mtu: 1500,
+    netmask: '255.255.255.0',
+    nic_tag: 'external',
+    resolvers: [ '8.8.8.8' ],
+    vlan_id: 0
+};
+
+var MINUTE = 60 * 1000;
+
+
+// --- Helpers
+
+function recordTypes(records) {
+    var types = {};
+
+    records.forEach(function (rec) {
+        types[rec.type] = true;
+    });
+
+    return Object.keys(types).sort();
+}
+
+/*
+ * Return the "vmadm update" payloads, without the times at which VMs were
+ * marked as needing a reboot.
+ */
+function untimedUpdates(updates) {
+    return updates.map(function (update) {
+        var md = update.set_internal_metadata;
+
+        if (md === undefined || md.network_reboot_required === undefined) {
+            return update;
+        }
+
+        var marker = JSON.parse(md.network_reboot_required);
+        delete marker.time;
+
+        return mod_jsprim.mergeObjects({
+            set_internal_metadata: { network_reboot_required: marker }
+        }, null, update);
+    });
+}
+
+/*
+ * Add a VM with a NIC on NETWORK to the simulation's CN, and to NAPI.
+ */
+function addVM(sim) {
+    sim.napi.putNetwork(NETWORK);
+    sim.napi.putNic({
+        mac: MAC,
+        belongs_to_uuid: VM_UUID,
+        belongs_to_type: 'zone',
+        owner_uuid: sim.admin_uuid,
+        cn_uuid: sim.cn_uuid,
+        ip: '10.0.0.5',
+        network_uuid: NET_UUID,
+        primary: true,
+        state: 'running'
+    });
+
+    sim.vmadm.create({
+        uuid: VM_UUID,
+        owner_uuid: sim.admin_uuid,
+        nics: [ {
+            interface: 'net0',
+            mac: MAC,
+            ip: '10.0.0.5',
+            gateway: '10.0.0.1',
+            netmask: '255.255.255.0',
+            nic_tag: 'external',
+            mtu: 1500,
+            vlan_id: 0,
+            network_uuid: NET_UUID,
+            primary: true
+        } ],
+        resolvers: [ '8.8.8.8' ]
+    });
+    sim.vmadm.flush();
+}
+
+
+// --- Tests
+
+test('A captured run can be replayed', function (t) {
+    var captureFile = mod_path.join(mod_os.tmpdir(),
+        'net-agent-capture-' + process.pid + '.json');
+    var sim = new Simulation({ config: { capture_file: captureFile } });
+
+    addVM(sim);
+
+    function replay(actions, state) {
+        var records = mod_capture.readCapture(captureFile);
+        var types = recordTypes(records);
+
+        t.deepEqual(types, [ 'bootstrap', 'changefeed', 'start', 'sysinfo',
+            'vmadm', 'vmadm-ready' ], 'all kinds of input captured');
+        t.equal(records[0].type, 'start', 'capture starts with UUIDs');
+        t.equal(records[0].data.cn_uuid, sim.cn_uuid, 'CN UUID captured');
+
+        /*
+         * The replay's NAPI is seeded with how things ended up, since the
+         * capture doesn't include the objects in NAPI.
+         */
+        var rp = new Replay({ records: records, state: state });
+
+        rp.run(function (err, replayed) {
+            t.ifError(err, 'replay');
+            t.equal(rp.sim.cn_uuid, sim.cn_uuid, 'replayed on the same CN');
+            t.deepEqual(untimedUpdates(replayed.updates), actions.updates,
+                'same VM updates when replayed');
+            t.deepEqual(replayed.reboots, actions.reboots,
+                'same reboots when replayed');
+
+            rp.stop(function () {
+                mod_fs.unlink(captureFile, function () {
+                    t.end();
+                });
+            });
+        });
+    }
+
+    sim.start(function () {
+        sim.napi.putNetwork(mod_jsprim.mergeObjects({
+            gateway: '10.0.0.254'
+        }, null, NETWORK));
+        sim.vmadm.modify(VM_UUID, { alias: 'web0' });
+        sim.vmadm.flush();
+
+        sim.advance(MINUTE, function () {
+            var actions = {
+                updates: untimedUpdates(sim.vmadm.updates),
+                reboots: sim.vmadm.reboots
+            };
+
+            t.equal(actions.updates.length, 1, 'VM updated');
+            t.equal(sim.vmadm.vms[VM_UUID].nics[0].gateway, '10.0.0.254',
+                'gateway change applied to the VM');
+
+            var state = mod_jsprim.deepCopy(sim.agent.cache.data);
+
+            sim.stop(function () {
+                replay(actions, state);
+            });
+        });
+    });
+});
+
+test('Capturing stops once the file reaches its limit', function (t) {
+    var captureFile = mod_path.join(mod_os.tmpdir(),
+        'net-agent-capture-limit-' + process.pid + '.json');
+    var capture = new mod_capture.Capture({
+        log: log,
+        path: captureFile,
+        info: { cn_uuid: VM_UUID },
+        maxSize: 1024
+    });
+
+    for (var i = 0; i < 20; i++) {
+        capture.record('changefeed', {
+            changeKind: { resource: 'network', subResources: [ 'mtu' ] },
+            changedResourceId: NET_UUID
+        });
+    }
+
+    capture.close(function () {
+        var records = mod_capture.readCapture(captureFile);
+
+        t.ok(mod_fs.statSync(captureFile).size <= 1024,
+            'capture within its limit');
+        t.equal(records[0].type, 'start', 'start of capture kept');
+        t.ok(records.length > 1 && records.length < 21,
+            'later records dropped');
+
+        mod_fs.unlink(captureFile, function () {
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,159 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for computing VM routes and resolvers.
+ */
+
+'use strict';
+
+var mod_routes = require('../../lib/routes');
+var test = require('tape');
+
+
+// --- Tests
+
+test('canonicalAddr()', function (t) {
+    var canon = mod_routes.canonicalAddr;
+
+    t.equal(canon('10.0.0.1'), '10.0.0.1', 'IPv4 address');
+    t.equal(canon('10.1.0.0/24'), '10.1.0.0/24', 'IPv4 subnet');
+    t.equal(canon('FD00:0:0::1'), 'fd00::1', 'IPv6 address');
+    t.equal(canon('fd00:1:0::/064'), 'fd00:1::/64', 'IPv6 subnet');
+    t.equal(canon('fe80:0::1%net1'), 'fe80::1%net1', 'IPv6 zone');
+    t.equal(canon('nics[1]'), 'nics[1]', 'non-address left alone');
+
+    t.end();
+});
+
+test('normalizeRoutes()', function (t) {
+    t.deepEqual(mod_routes.normalizeRoutes({
+        '10.2.0.0/16': '10.0.0.1',
+        'fd00:2:0::/48': 'FE80::1',
+        'fd00:3::/48': 'fd00:0::1'
+    }), {
+        '10.2.0.0/16': '10.0.0.1',
+        'fd00:2::/48': 'fe80::1',
+        'fd00:3::/48': 'fd00::1'
+    }, 'routes normalized');
+
+    t.end();
+});
+
+test('diffRoutes()', function (t) {
+    var current = {
+        '10.2.0.0/16': '10.0.0.1',
+        '10.3.0.0/16': '10.0.0.1',
+        'fd00:2:0::/48': 'fe80::1',
+        'fd00:3:0::/48': 'fd00::1'
+    };
+
+    t.deepEqual(mod_routes.diffRoutes(current, {
+        '10.2.0.0/16': '10.0.0.1',
+        '10.4.0.0/16': '10.0.0.2',
+        'fd00:2::/48': 'fe80::1',
+        'fd00:3::/48': 'fd00::2'
+    }), {
+        set: {
+            '10.4.0.0/16': '10.0.0.2',
+            'fd00:3::/48': 'fd00::2'
+        },
+        remove: [ 'fd00:3:0::/48', '10.3.0.0/16' ]
+    }, 'only changed routes updated');
+
+    t.deepEqual(mod_routes.diffRoutes(current, mod_routes.normalizeRoutes(
+        current)), { set: {}, remove: [] }, 'equivalent routes');
+
+    t.end();
+});
+
+test('mergeResolvers()', function (t) {
+    t.deepEqual(mod_routes.mergeResolvers([
+        [ 'fd00::53', '10.0.0.53' ],
+        [ '10.1.0.53', 'FD00:0::53', '10.0.0.53', 'fd00:1::53' ]
+    ]), [
+        '10.0.0.53',
+        '10.1.0.53',
+        'fd00::53',
+        'fd00:1::53'
+    ], 'IPv4 resolvers first, without duplicates');
+
+    t.deepEqual(mod_routes.mergeResolvers([
+        [ 'fd00::53', '10.0.0.53' ]
+    ], [ 'fd00:0::53', '10.0.0.53' ]), [ 'fd00:0::53', '10.0.0.53' ],
+        'current order kept when the resolvers are the same');
+
+    t.deepEqual(mod_routes.mergeResolvers([
+        [ 'fd00::53', '10.0.0.53', '10.1.0.53' ]
+    ], [ 'fd00::53', '10.0.0.53' ]), [ '10.0.0.53', '10.1.0.53', 'fd00::53' ],
+        'changed resolvers reordered');
+
+    t.end();
+});
+
+test('mergeRoutes()', function (t) {
+    var merged = mod_routes.mergeRoutes([
+        {
+            id: 'primary',
+            routes: {
+                '10.2.0.0/16': '10.0.0.1',
+                '10.3.0.0/16': '10.0.0.1'
+            }
+        },
+        {
+            id: 'second',
+            routes: {
+                '10.2.0.0/16': '10.1.0.1',
+                '10.3.0.0/16': '10.0.0.1',
+                'fd00:2::/48': 'fe80::1'
+            }
+        },
+        {
+            id: 'third',
+            routes: {
+                '10.2.0.0/16': '10.2.0.1',
+                'fd00:2::/48': 'fe80::2'
+            }
+        }
+    ]);
+
+    t.deepEqual(merged.routes, {
+        '10.2.0.0/16': '10.0.0.1',
+        '10.3.0.0/16': '10.0.0.1',
+        'fd00:2::/48': 'fe80::1'
+    }, 'first NIC wins');
+
+    t.deepEqual(merged.conflicts, [
+        {
+            destination: '10.2.0.0/16',
+            gateway: '10.0.0.1',
+            nic: 'primary',
+            ignored: [
+                { nic: 'second', gateway: '10.1.0.1' },
+                { nic: 'third', gateway: '10.2.0.1' }
+            ]
+        },
+        {
+            destination: 'fd00:2::/48',
+            gateway: 'fe80::1',
+            nic: 'second',
+            ignored: [
+                { nic: 'third', gateway: 'fe80::2' }
+            ]
+        }
+    ], 'conflicts reported');
+
+    t.deepEqual(mod_routes.mergeRoutes([]), {
+        routes: {},
+        conflicts: []
+    }, 'no NICs');
+
+    t.end();
+});
@@ -0,0 +1,319 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for reloading sysinfo and applying changes to the CN's links.
+ */
+
+'use strict';
+
+var FakeBackend = require('../lib/host-net').FakeBackend;
+var log = require('../lib/log');
+var mod_common = require('../../lib/common');
+var ServerFSM = require('../../lib/server-fsm');
+var test = require('tape');
+
+// --- Globals
+
+var CN_UUID = '564d2b8e-4b6b-4d7a-9d2c-2a5e2d6d7e01';
+
+var ADMIN_MAC = '90:b8:d0:00:00:01';
+var EXTERNAL_MAC = '90:b8:d0:00:00:02';
+var UNDERLAY_MAC = '90:b8:d0:00:00:03';
+
+var SYSINFO = {
+    'Network Interfaces': {
+        'ixgbe0': {
+            'MAC Address': ADMIN_MAC,
+            'Link Status': 'up',
+            'NIC Names': [ 'admin', 'sdc_underlay' ]
+        },
+        'ixgbe1': {
+            'MAC Address': EXTERNAL_MAC,
+            'Link Status': 'up',
+            'NIC Names': [ 'external' ]
+        }
+    },
+    'Virtual Network Interfaces': {
+        'sdc_underlay0': {
+            'MAC Address': UNDERLAY_MAC,
+            'Host Interface': 'ixgbe0',
+            'Link Status': 'up',
+            'VLAN': '0'
+        }
+    },
+    'Link Aggregations': {}
+};
+
+/*
+ * A CN whose underlay VNIC is on an aggregation, and that has an overlay
+ * device for a fabric network.
+ */
+var FABRIC_SYSINFO = {
+    'Network Interfaces': {
+        'ixgbe0': {
+            'MAC Address': ADMIN_MAC,
+            'Link Status': 'up',
+            'NIC Names': [ 'admin' ]
+        },
+        'ixgbe1': {
+            'MAC Address': EXTERNAL_MAC,
+            'Link Status': 'up',
+            'NIC Names': []
+        },
+        'aggr0': {
+            'MAC Address': EXTERNAL_MAC,
+            'Link Status': 'up',
+            'NIC Names': [ 'sdc_underlay' ]
+        }
+    },
+    'Virtual Network Interfaces': {
+        'sdc_underlay0': {
+            'MAC Address': UNDERLAY_MAC,
+            'Host Interface': 'aggr0',
+            'Link Status': 'up',
+            'VLAN': '0'
+        }
+    },
+    'Link Aggregations': {
+        'aggr0': {
+            'LACP mode': 'active',
+            'Interfaces': [ 'ixgbe1' ]
+        }
+    }
+};
+
+
+// --- Helpers
+
+/*
+ * Create a ServerFSM for a CN with the NICs in "sysinfo" (SYSINFO by default),
+ * counting how many times it loads sysinfo. The local copies of its NICs are
+ * recorded in "app.locals".
+ */
+function createServer(opts, counts, sysinfo) {
+    var app = {
+        cn_uuid: CN_UUID,
+        log: log,
+        underlayTag: 'sdc_underlay',
+        overlayTag: 'sdc_overlay',
+        locals: {},
+        watchNic: function (mac) {
+            return {
+                setLocal: function (nic) {
+                    app.locals[mac] = nic;
+                }
+            };
+        },
+        watchAggr: function () {
+            return {
+                setLocal: function () {}
+            };
+        },
+        retryPolicy: new mod_common.RetryPolicy({
+            min: 10,
+            max: 10,
+            jitter: 0
+        })
+    };
+
+    function loadSysinfo(callback) {
+        counts.loads += 1;
+
+        setImmediate(callback, null, sysinfo || SYSINFO);
+    }
+
+    return new ServerFSM(Object.assign({
+        uuid: CN_UUID,
+        app: app,
+        loadSysinfo: loadSysinfo,
+        hostNet: new FakeBackend()
+    }, opts));
+}
+
+/*
+ * Call "callback" once the ServerFSM has loaded sysinfo.
+ */
+function afterLoad(server, callback) {
+    server.on('stateChanged', function onState(state) {
+        if (state !== 'waiting') {
+            return;
+        }
+
+        server.removeListener('stateChanged', onState);
+        callback();
+    });
+}
+
+
+// --- Tests
+
+test('Sysinfo is reloaded periodically', function (t) {
+    var counts = { loads: 0 };
+    var server = createServer({ refreshInterval: 10 }, counts);
+
+    server.on('stateChanged', function (state) {
+        if (state !== 'waiting' || counts.loads < 3) {
+            return;
+        }
+
+        t.pass('sysinfo reloaded');
+
+        server.stop();
+        t.end();
+    });
+});
+
+test('Sysinfo is reloaded on events', function (t) {
+    var counts = { loads: 0 };
+    var server = createServer({
+        refreshInterval: 0,
+        watchCommand: [ '/bin/sh', '-c', 'echo link up; exec sleep 60' ]
+    }, counts);
+
+    server.on('stateChanged', function (state) {
+        if (state !== 'waiting' || counts.loads < 2) {
+            return;
+        }
+
+        t.equal(counts.loads, 2, 'sysinfo reloaded after event');
+
+        server.stop();
+        t.ok(server.isInState('stopped'), 'server stopped');
+        t.ok(server.events.isInState('stopped'), 'event command stopped');
+        t.end();
+    });
+});
+
+test('VNIC changes are applied', function (t) {
+    var backend = new FakeBackend();
+    var server = createServer({ hostNet: backend }, { loads: 0 });
+
+    afterLoad(server, function () {
+        server.updateNIC(UNDERLAY_MAC, {
+            mtu: 9000,
+            nic_tag: 'external',
+            vlan_id: 5,
+            network_uuid: 'a5c7a3e2-5b1e-4e5a-8d53-3c8f2a6c4f01'
+        }, function (err) {
+            t.ifError(err, 'update VNIC');
+            t.deepEqual(backend.ops, [
+                [ 'modifyVNIC', {
+                    name: 'sdc_underlay0',
+                    link: 'ixgbe1',
+                    vlan_id: 5
+                } ],
+                [ 'setMTU', { name: 'sdc_underlay0', mtu: 9000 } ]
+            ], 'VNIC moved and MTU set');
+
+            server.stop();
+            t.end();
+        });
+    });
+});
+
+test('VNICs aren\'t changed in dry-run mode', function (t) {
+    var backend = new FakeBackend();
+    var server = createServer({ hostNet: backend }, { loads: 0 });
+
+    server.app.dryRun = true;
+
+    afterLoad(server, function () {
+        server.updateNIC(UNDERLAY_MAC, {
+            mtu: 9000,
+            vlan_id: 5
+        }, function (err) {
+            t.ifError(err, 'update VNIC');
+            t.deepEqual(backend.ops, [], 'no changes made');
+
+            server.stop();
+            t.end();
+        });
+    });
+});
+
+test('Physical NICs are left alone', function (t) {
+    var backend = new FakeBackend();
+    var server = createServer({ hostNet: backend }, { loads: 0 });
+
+    afterLoad(server, function () {
+        server.updateNIC(ADMIN_MAC, { mtu: 9000 }, function (err) {
+            t.ifError(err, 'update physical NIC');
+            t.deepEqual(backend.ops, [], 'no changes made');
+
+            server.stop();
+            t.end();
+        });
+    });
+});
+
+test('Underlay VNICs and overlays are recognized', function (t) {
+    var backend = new FakeBackend();
+    var server = createServer({ hostNet: backend }, { loads: 0 },
+        FABRIC_SYSINFO);
+
+    backend.links = {
+        'sdc_underlay0': { class: 'vnic', mtu: 9000 },
+        'sdc_overlay4151538': { class: 'overlay', mtu: 8500 },
+        'sdc_overlayfoo': { class: 'overlay', mtu: 8500 }
+    };
+
+    afterLoad(server, function () {
+        var local = server.app.locals[UNDERLAY_MAC];
+
+        t.equal(local.nic_tag, 'sdc_underlay', 'VNIC on aggregation tagged');
+        t.equal(local.underlay, true, 'underlay VNIC marked');
+        t.equal(local.mtu, 9000, 'VNIC MTU');
+        t.deepEqual(server.overlays, {
+            '4151538': 'sdc_overlay4151538'
+        }, 'overlays found');
+
+        server.stop();
+        t.end();
+    });
+});
+
+test('Sysinfo is used when links can\'t be fetched', function (t) {
+    var backend = new FakeBackend();
+    var server = createServer({ hostNet: backend }, { loads: 0 },
+        FABRIC_SYSINFO);
+
+    backend.links = {
+        'ixgbe0': { class: 'phys', mtu: 1500, speed: 10000 },
+        'sdc_underlay0': { class: 'vnic', mtu: 9000 },
+        'sdc_overlay4151538': { class: 'overlay', mtu: 8500 }
+    };
+
+    afterLoad(server, function () {
+        backend.links = {};
+        backend.error = new Error('dladm failed');
+
+        server.refresh();
+
+        afterLoad(server, function () {
+            var admin = server.app.locals[ADMIN_MAC];
+            var underlay = server.app.locals[UNDERLAY_MAC];
+
+            t.equal(admin.state, 'running', 'physical NIC state');
+            t.deepEqual(admin.nic_tags_provided, [ 'admin' ],
+                'physical NIC tags');
+            t.equal(admin.mtu, undefined, 'no physical NIC MTU');
+            t.equal(admin.link_speed, undefined, 'no link speed');
+            t.equal(underlay.nic_tag, 'sdc_underlay', 'VNIC tagged');
+            t.equal(underlay.mtu, undefined, 'no VNIC MTU');
+            t.deepEqual(server.overlays, {
+                '4151538': 'sdc_overlay4151538'
+            }, 'overlays kept');
+
+            server.stop();
+            t.end();
+        });
+    });
+});
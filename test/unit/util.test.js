@@ -15,8 +15,34 @@
 'use strict';
 
 var mod_common = require('../../lib/common');
+var mod_util = require('util');
 var test = require('tape');
 
+
+// --- Helpers
+
+function TestFSM() {
+    mod_common.CommonFSM.call(this);
+}
+mod_util.inherits(TestFSM, mod_common.CommonFSM);
+
+TestFSM.prototype.state_init = function (S) {
+    S.gotoStateOn(this, 'goAsserted', 'retry');
+};
+
+TestFSM.prototype.state_retry = function (S) {
+    this.setReason(new Error('request failed'));
+    S.gotoState('retry.wait');
+};
+
+TestFSM.prototype.state_retry.wait = function (S) {
+    S.gotoStateOn(this, 'goAsserted', 'done');
+};
+
+TestFSM.prototype.state_done = function (S) {
+    S.validTransitions([]);
+};
+
 // --- Tests
 
 test('Get net-agent version', function (t) {
@@ -56,3 +82,75 @@ test('hasChanged() tests', function (t) {
 
     t.end();
 });
+
+test('CommonFSM transition history', function (t) {
+    var fsm = new TestFSM();
+
+    /*
+     * The history is recorded from "stateChanged" events, which get
+     * emitted on the next tick.
+     */
+    function checkHistory() {
+        var history = fsm.history.map(function (entry) {
+            t.ok(entry.time instanceof Date, 'entry has a timestamp');
+            return [ entry.from, entry.to, entry.reason ];
+        });
+
+        t.deepEqual(history, [
+            [ null, 'init', null ],
+            [ 'init', 'retry', null ],
+            [ 'retry', 'retry.wait', 'request failed' ],
+            [ 'retry.wait', 'done', 'finished' ]
+        ], 'transitions recorded in order');
+
+        var dump = fsm.dump();
+        t.equal(dump.state, 'done', 'dump() reports current state');
+        t.equal(dump.transitioned, fsm.history[3].time,
+            'dump() reports last transition time');
+
+        t.end();
+    }
+
+    fsm.on('stateChanged', function (state) {
+        if (state === 'done') {
+            checkHistory();
+        }
+    });
+
+    fsm.emit('goAsserted');
+    fsm.setReason('finished');
+    fsm.emit('goAsserted');
+});
+
+test('RetryPolicy backoff', function (t) {
+    var policy = new mod_common.RetryPolicy({
+        min: 1000,
+        max: 10000,
+        jitter: 0
+    });
+
+    t.deepEqual([ 0, 1, 2, 3, 4, 5 ].map(policy.delay.bind(policy)),
+        [ 1000, 2000, 4000, 8000, 10000, 10000 ],
+        'delays double until they reach the maximum');
+
+    var jittered = new mod_common.RetryPolicy({
+        min: 1000,
+        max: 10000,
+        jitter: 0.5
+    });
+
+    for (var i = 0; i < 20; i++) {
+        var delay = jittered.delay(1);
+        t.ok(delay >= 1000 && delay <= 2000, 'jittered delay in range');
+    }
+
+    var fsm = new TestFSM();
+    fsm.retryPolicy = policy;
+
+    t.equal(fsm.retryDelay(), 1000, 'first retry');
+    t.equal(fsm.retryDelay(), 2000, 'second retry');
+    fsm.resetRetries();
+    t.equal(fsm.retryDelay(), 1000, 'retries reset');
+
+    t.end();
+});
@@ -0,0 +1,210 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Tests for following VM changes through "vmadm events", and for applying
+ * changes to VMs, using the mock vmadm.
+ */
+
+'use strict';
+
+var InstanceFSM = require('../../lib/inst-fsm');
+var log = require('../lib/log');
+var mod_common = require('../../lib/common');
+var mod_jsprim = require('jsprim');
+var MockVmadm = require('../lib/mock-vmadm').MockVmadm;
+var test = require('tape');
+var VmadmWatcherFSM = require('../../lib/vmadm-watcher-fsm');
+
+// --- Globals
+
+var CN_UUID = '564d2b8e-4b6b-4d7a-9d2c-2a5e2d6d7e01';
+var VM1_UUID = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a01';
+var VM2_UUID = '2d5d0e6e-8b1a-4c44-8d3d-6a5e8f1c1a02';
+var MAC = '90:b8:d0:c0:ff:ee';
+
+
+// --- Helpers
+
+/*
+ * Create a VmadmWatcherFSM that calls "onUpdate" with the UUIDs of the VMs
+ * that it passes to the app.
+ */
+function createWatcher(vmadm, onUpdate) {
+    var app = {
+        log: log,
+        retryPolicy: new mod_common.RetryPolicy({ min: 10, max: 10 }),
+        updateVMs: function (vms) {
+            onUpdate(vms.map(function (vm) {
+                return vm.uuid;
+            }).sort());
+        }
+    };
+
+    return new VmadmWatcherFSM({
+        app: app,
+        vmadm: vmadm
+    });
+}
+
+/*
+ * Create an InstanceFSM for one of the mock's VMs, whose NICs aren't in NAPI.
+ */
+function createInst(vmadm, uuid) {
+    var app = {
+        cn_uuid: CN_UUID,
+        log: log,
+        watcher: {
+            refresh: function () {}
+        },
+        watchNic: function (mac) {
+            return {
+                mac: mac,
+                remote: {},
+                setLocal: function () {},
+                stop: function () {}
+            };
+        },
+        releaseNic: function () {}
+    };
+
+    return new InstanceFSM({
+        uuid: uuid,
+        app: app,
+        vm: mod_jsprim.deepCopy(vmadm.vms[uuid]),
+        vmadm: vmadm
+    });
+}
+
+function changedPaths(ev) {
+    return ev.changes.map(function (change) {
+        return change.prettyPath;
+    });
+}
+
+
+// --- Tests
+
+test('VM lifecycle events reach the app', function (t) {
+    var vmadm = new MockVmadm();
+    var lists = [];
+
+    vmadm.create({ uuid: VM1_UUID });
+    t.equal(vmadm.flush(), 1, 'create event dropped before watching');
+
+    /*
+     * Once the watcher has passed on the VMs it started with, make some
+     * changes, which should all be passed on together.
+     */
+    function changeVMs(fsm) {
+        vmadm.create({ uuid: VM2_UUID });
+        vmadm.modify(VM1_UUID, {
+            add_nics: [ { mac: MAC, ip: '10.0.0.5' } ]
+        });
+        vmadm.modify(VM1_UUID, { alias: 'web0' });
+
+        t.equal(vmadm.step().type, 'create', 'create event');
+        t.equal(fsm.vmadmevents.getCurrentVMs().length, 2,
+            'new VM seen');
+        t.deepEqual(changedPaths(vmadm.step()), [ 'nics.*' ], 'NIC added');
+        t.equal(vmadm.flush(), 1, 'remaining events delivered');
+    }
+
+    var watcher = createWatcher(vmadm, function (uuids) {
+        lists.push(uuids);
+
+        if (lists.length === 1) {
+            setImmediate(changeVMs, watcher);
+            return;
+        }
+
+        t.deepEqual(lists, [
+            [ VM1_UUID ],
+            [ VM1_UUID, VM2_UUID ]
+        ], 'VMs passed to the app');
+
+        watcher.stop();
+        t.deepEqual(vmadm.watchers, [], 'stopped watching');
+        t.end();
+    });
+
+    watcher.start();
+});
+
+test('Watchers restart after errors', function (t) {
+    var vmadm = new MockVmadm();
+    var started = 0;
+
+    vmadm.fail('events', new Error('vminfod not ready'));
+
+    var watcher = createWatcher(vmadm, function () {});
+
+    watcher.vmadmevents.on('stateChanged', function (state) {
+        if (state !== 'running') {
+            return;
+        }
+
+        started += 1;
+
+        if (started === 1) {
+            t.equal(vmadm.watchers.length, 1, 'watching after failure');
+            vmadm.failEvents(new Error('vminfod went away'));
+            return;
+        }
+
+        t.equal(vmadm.watchers.length, 1, 'watching again');
+
+        watcher.stop();
+        t.end();
+    });
+
+    watcher.start();
+});
+
+test('InstanceFSM changes are applied to the VM', function (t) {
+    var vmadm = new MockVmadm();
+
+    vmadm.create({
+        uuid: VM1_UUID,
+        nics: [ { mac: MAC, ip: '10.0.0.5', gateway: '10.0.0.1' } ]
+    });
+    vmadm.create({ uuid: VM2_UUID, state: 'stopped' });
+    vmadm.flush();
+
+    var inst = createInst(vmadm, VM1_UUID);
+    var stopped = createInst(vmadm, VM2_UUID);
+
+    inst.updateNIC(MAC, { gateway: '10.0.0.254' }, function (err) {
+        t.ifError(err, 'update NIC');
+        t.equal(vmadm.vms[VM1_UUID].nics[0].gateway, '10.0.0.254',
+            'NIC updated');
+
+        var ev = vmadm.step();
+        t.deepEqual(changedPaths(ev), [
+            'internal_metadata.network_reboot_required',
+            'nics.*.gateway'
+        ], 'modify event');
+
+        inst.reboot(function (err2) {
+            t.ifError(err2, 'reboot');
+            t.deepEqual(vmadm.reboots, [ VM1_UUID ], 'VM rebooted');
+            t.deepEqual(changedPaths(vmadm.step()), [ 'boot_timestamp' ],
+                'boot time changed');
+
+            stopped.reboot(function (err3) {
+                t.ok(err3, 'stopped VM not rebooted');
+
+                inst.stop();
+                stopped.stop();
+                t.end();
+            });
+        });
+    });
+});